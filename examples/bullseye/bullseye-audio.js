@@ -0,0 +1,338 @@
+// bullseye-audio.js - Bullseye Range's sound, synthesized with Web Audio as the game plays; there are no sound files.
+//
+// Range_Audio listens to a Range_Simulation's events for the one-off sounds -- the string's twang on release, an
+// arrow striking a target (a brighter knock the nearer the center), the ground, a tree or a post, clay shattering,
+// a cow's complaint -- and follows the simulation each frame for the continuous ones: the bow creaking as it is
+// drawn, every arrow's whoosh, pitched by the Doppler effect as it flies, and rain and wind fading in and out with
+// the weather.  Sounds are panned and quietened by where they happen relative to the archer.
+//
+// Browsers allow sound only once the player has done something, so nothing is made until start() is called from
+// an input handler.  The game's own sounds go through the `effects` volume and everything, ambience included,
+// through `master`.
+//
+// The simulation never hears back from here, so sound cannot change a match or a replay.
+
+export const DEFAULT_VOLUMES = { master: 0.8, effects: 1 };
+
+const SPEED_OF_SOUND = 343;       // m/s
+const MAX_DOPPLER = 2;            // pitch ratio either way; the fastest arrows would shriek otherwise
+const FULL_VOLUME_DISTANCE = 8;   // metres; sounds nearer the archer than this aren't made any louder
+const NOISE_SECONDS = 2;
+const SILENT = 0.0001;            // exponential ramps can't reach zero
+const SMOOTHING = 0.05;           // seconds for continuous sounds to follow the game
+
+export class Range_Audio {
+  // context: an AudioContext to use instead of making one at start().
+  constructor(sim, { context = null } = {}) {
+    this.sim = sim;
+    this.context = context;
+    this.started = false;
+    this.volumes = { ...DEFAULT_VOLUMES };
+    this.whooshes = new Map();    // each flying Arrow -> the nodes making its sound
+    this.last_draw = 0;
+
+    this.sim_handlers = {
+      shot: e => this.twang(e),
+      target_hit: e => this.knock(e),
+      target_break: e => this.shatter(e),
+      embed: e => this.thud(e),
+      cow_hit: e => this.moo(e),
+    };
+    for (const [name, handler] of Object.entries(this.sim_handlers)) sim.on(name, handler);
+  }
+
+  // Safe to call on every input: the first call sets up the sound graph, and later ones wake the context if the
+  // browser has suspended it.
+  start() {
+    if (this.started) {
+      if (this.context.state === 'suspended') this.context.resume();
+      return;
+    }
+    const Context = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!this.context && !Context) return;      // no Web Audio here; the game just stays silent
+    const ctx = this.context = this.context || new Context();
+    this.started = true;
+
+    this.master = ctx.createGain();
+    this.master.connect(ctx.destination);
+    this.effects = ctx.createGain();
+    this.effects.connect(this.master);
+    this.apply_volumes();
+
+    this.noise = ctx.createBuffer(1, NOISE_SECONDS * ctx.sampleRate, ctx.sampleRate);
+    const samples = this.noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+    this.build_creak();
+    this.build_ambience();
+  }
+
+  // which: 'master' or 'effects'; value from 0 to 1.
+  set_volume(which, value) {
+    this.volumes[which] = Math.max(0, Math.min(1, value));
+    this.apply_volumes();
+  }
+
+  apply_volumes() {
+    if (!this.started) return;
+    const now = this.context.currentTime;
+    this.master.gain.setTargetAtTime(this.volumes.master, now, SMOOTHING);
+    this.effects.gain.setTargetAtTime(this.volumes.effects, now, SMOOTHING);
+  }
+
+  /* ---------- Building Blocks ---------- */
+
+  // A looping run of white noise, started straight away somewhere random in the buffer so no two sound alike.
+  noise_source({ loop = true, at = this.context.currentTime, duration } = {}) {
+    const source = this.context.createBufferSource();
+    source.buffer = this.noise;
+    source.loop = loop;
+    source.start(at, Math.random() * (NOISE_SECONDS - 0.5), duration);
+    return source;
+  }
+
+  filter(type, frequency, Q = 1) {
+    const filter = this.context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    return filter;
+  }
+
+  // Connects nodes in a chain and returns the last.
+  chain(...nodes) {
+    for (let i = 1; i < nodes.length; i++) nodes[i - 1].connect(nodes[i]);
+    return nodes[nodes.length - 1];
+  }
+
+  // Where a sound at world `position` is heard from: how far away, and how far round to the right (-1 to 1).
+  locate(position) {
+    const sim = this.sim;
+    const offset = position.minus(sim.get_player_origin());
+    const distance = offset.norm();
+    const right = Math.cos(sim.aim_yaw) * offset[0] - Math.sin(sim.aim_yaw) * offset[2];
+    return { offset, distance, pan: distance > 1e-6 ? Math.max(-1, Math.min(1, right / distance)) : 0 };
+  }
+
+  // A gain and panner feeding the effects bus, set for a sound at `position`; the returned node is where the
+  // sound goes in.
+  place(position, loudness = 1) {
+    const { distance, pan } = this.locate(position);
+    const gain = this.context.createGain();
+    gain.gain.value = loudness * FULL_VOLUME_DISTANCE / Math.max(FULL_VOLUME_DISTANCE, distance);
+    if (this.context.createStereoPanner) {
+      const panner = this.context.createStereoPanner();
+      panner.pan.value = pan;
+      this.chain(gain, panner, this.effects);
+    } else {
+      gain.connect(this.effects);
+    }
+    return gain;
+  }
+
+  // A gain that swells to 1 over `attack` seconds from `at`, then dies away over `decay`, into `destination`.
+  envelope(destination, at, attack, decay) {
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(SILENT, at);
+    gain.gain.exponentialRampToValueAtTime(1, at + attack);
+    gain.gain.exponentialRampToValueAtTime(SILENT, at + attack + decay);
+    gain.connect(destination);
+    return gain;
+  }
+
+  // A tone gliding from `from` to `to` Hz over `glide` seconds, shaped by an envelope.
+  tone(destination, { type = 'sine', from, to = from, glide = 0.1, attack = 0.005, decay = 0.2, at }) {
+    const osc = this.context.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(from, at);
+    osc.frequency.exponentialRampToValueAtTime(to, at + glide);
+    osc.connect(this.envelope(destination, at, attack, decay));
+    osc.start(at);
+    osc.stop(at + attack + decay + 0.05);
+    return osc;
+  }
+
+  // A short burst of filtered noise.
+  burst(destination, { type = 'bandpass', frequency, Q = 1, attack = 0.002, decay = 0.1, at }) {
+    const duration = attack + decay + 0.05;
+    const source = this.noise_source({ loop: false, at, duration });
+    this.chain(source, this.filter(type, frequency, Q), this.envelope(destination, at, attack, decay));
+  }
+
+  /* ---------- One-Off Sounds ---------- */
+
+  // The string's twang and the slap of the vanes leaving the rest, louder for a faster arrow.
+  twang({ arrow }) {
+    if (!this.started) return;
+    const at = this.context.currentTime;
+    const power = Math.min(1, arrow.vel.norm() / 150);
+    const out = this.place(arrow.pos, 0.35 + 0.4 * power);
+    this.tone(out, { type: 'triangle', from: 150 + 90 * power, to: 75, glide: 0.25, decay: 0.35, at });
+    this.burst(out, { frequency: 2200, Q: 0.8, decay: 0.06, at });
+  }
+
+  // A target taking an arrow: a dull thump on the outer rings, brighter and sharper towards the gold.
+  knock({ position, ring_frac, broke }) {
+    if (!this.started || broke) return;         // clay shatters instead; see shatter()
+    const at = this.context.currentTime;
+    const center = 1 - ring_frac;
+    const out = this.place(position, 0.9);
+    this.tone(out, { from: 90 + 140 * center, to: 55 + 60 * center, glide: 0.12, decay: 0.2 + 0.1 * center, at });
+    this.burst(out, { type: 'lowpass', frequency: 900 + 3000 * center, decay: 0.05, at });
+  }
+
+  // Clay breaking: a crack, then a patter of pieces.
+  shatter({ position }) {
+    if (!this.started) return;
+    const at = this.context.currentTime;
+    const out = this.place(position, 0.8);
+    this.burst(out, { type: 'highpass', frequency: 1800, decay: 0.08, at });
+    for (let i = 0; i < 6; i++) {
+      const when = at + 0.03 + Math.random() * 0.25;
+      this.tone(out, { from: 2000 + Math.random() * 2500, decay: 0.04, at: when });
+    }
+  }
+
+  // An arrow going into the ground, or knocking into wood.
+  thud({ surface, position, speed }) {
+    if (!this.started) return;
+    const at = this.context.currentTime;
+    const out = this.place(position, 0.3 + 0.5 * Math.min(1, speed / 120));
+    if (surface === 'ground') {
+      this.burst(out, { type: 'lowpass', frequency: 380, decay: 0.12, at });
+    } else {
+      this.tone(out, { from: 360, to: 260, glide: 0.05, decay: 0.1, at });
+      this.burst(out, { frequency: 1600, Q: 2, decay: 0.04, at });
+    }
+  }
+
+  // A sawtooth voice through a lowpass that opens and closes, mmm-OOO-ooh, with a wobble in the pitch.
+  moo({ position }) {
+    if (!this.started) return;
+    const ctx = this.context, at = ctx.currentTime;
+    const pitch = 0.9 + Math.random() * 0.25;
+    const out = this.place(position, 1);
+
+    const voice = ctx.createOscillator();
+    voice.type = 'sawtooth';
+    voice.frequency.setValueAtTime(150 * pitch, at);
+    voice.frequency.exponentialRampToValueAtTime(125 * pitch, at + 0.35);
+    voice.frequency.exponentialRampToValueAtTime(95 * pitch, at + 1.3);
+    const wobble = ctx.createOscillator();
+    wobble.frequency.value = 5;
+    const depth = ctx.createGain();
+    depth.gain.value = 3;
+    this.chain(wobble, depth, voice.frequency);
+
+    const mouth = this.filter('lowpass', 300, 4);
+    mouth.frequency.setValueAtTime(300, at);
+    mouth.frequency.exponentialRampToValueAtTime(950, at + 0.4);
+    mouth.frequency.exponentialRampToValueAtTime(450, at + 1.3);
+    this.chain(voice, mouth, this.envelope(out, at, 0.15, 1.3));
+
+    for (const osc of [voice, wobble]) {
+      osc.start(at);
+      osc.stop(at + 1.6);
+    }
+  }
+
+  /* ---------- Continuous Sounds ---------- */
+
+  // Friction noise, stuttering at a rate that climbs with the draw like a limb and string under load.
+  build_creak() {
+    const ctx = this.context;
+    this.creak_filter = this.filter('bandpass', 300, 10);
+    this.creak_gain = ctx.createGain();
+    this.creak_gain.gain.value = 0;
+    this.chain(this.noise_source(), this.creak_filter, this.creak_gain, this.effects);
+
+    this.creak_stutter = ctx.createOscillator();
+    this.creak_stutter.type = 'square';
+    this.creak_stutter.frequency.value = 15;
+    this.creak_depth = ctx.createGain();
+    this.creak_depth.gain.value = 0;
+    this.chain(this.creak_stutter, this.creak_depth, this.creak_gain.gain);
+    this.creak_stutter.start();
+  }
+
+  // Rain is noise with the low end taken off; wind is a low band of noise that rises in pitch as it blows harder.
+  build_ambience() {
+    this.rain_gain = this.context.createGain();
+    this.rain_gain.gain.value = 0;
+    this.chain(this.noise_source(), this.filter('highpass', 500), this.filter('lowpass', 6000), this.rain_gain,
+      this.master);
+
+    this.wind_filter = this.filter('bandpass', 300, 0.8);
+    this.wind_gain = this.context.createGain();
+    this.wind_gain.gain.value = 0;
+    this.chain(this.noise_source(), this.wind_filter, this.wind_gain, this.master);
+  }
+
+  // Call once a frame, after the simulation has stepped.
+  update() {
+    if (!this.started) return;
+    const now = this.context.currentTime;
+    this.update_creak(now);
+    this.update_whooshes(now);
+    this.update_ambience(now);
+  }
+
+  // Loudest while the draw is moving, with a quieter strain while it is held.
+  update_creak(now) {
+    const sim = this.sim;
+    const strength = sim.is_drawing ? sim.draw_strength : 0;
+    const moving = Math.abs(strength - this.last_draw) > 1e-4;
+    this.last_draw = strength;
+
+    const level = sim.is_drawing ? strength * (moving ? 0.25 : 0.06) : 0;
+    this.creak_gain.gain.setTargetAtTime(level / 2, now, SMOOTHING);
+    this.creak_depth.gain.setTargetAtTime(level / 2, now, SMOOTHING);
+    this.creak_filter.frequency.setTargetAtTime(250 + 650 * strength, now, SMOOTHING);
+    this.creak_stutter.frequency.setTargetAtTime(12 + 28 * strength, now, SMOOTHING);
+  }
+
+  // Each arrow in flight hisses louder the faster it goes.  Moving towards the archer raises its pitch and moving
+  // away lowers it, by the ratio a sound source's speed along the line of hearing makes.
+  update_whooshes(now) {
+    const flying = new Set(this.sim.arrows.filter(a => a.alive && !a.stuck));
+    for (const [arrow, whoosh] of this.whooshes) {
+      if (flying.has(arrow)) continue;
+      whoosh.gain.gain.setTargetAtTime(0, now, SMOOTHING);
+      whoosh.source.stop(now + 0.3);
+      this.whooshes.delete(arrow);
+    }
+
+    for (const arrow of flying) {
+      let whoosh = this.whooshes.get(arrow);
+      if (!whoosh) {
+        const ctx = this.context;
+        whoosh = { source: this.noise_source(), filter: this.filter('bandpass', 800, 2), gain: ctx.createGain() };
+        whoosh.gain.gain.value = 0;
+        whoosh.panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+        this.chain(whoosh.source, whoosh.filter, whoosh.gain, ...(whoosh.panner ? [whoosh.panner] : []), this.effects);
+        this.whooshes.set(arrow, whoosh);
+      }
+
+      const { offset, distance, pan } = this.locate(arrow.pos);
+      const speed = arrow.vel.norm();
+      const receding = distance > 1e-6 ? arrow.vel.dot(offset) / distance : 0;
+      const doppler = Math.max(1 / MAX_DOPPLER, Math.min(MAX_DOPPLER, SPEED_OF_SOUND / (SPEED_OF_SOUND + receding)));
+      const loudness = Math.min(1, speed / 80) * 0.4 * FULL_VOLUME_DISTANCE / Math.max(FULL_VOLUME_DISTANCE, distance);
+
+      whoosh.gain.gain.setTargetAtTime(loudness, now, SMOOTHING);
+      whoosh.filter.frequency.setTargetAtTime((500 + 4 * speed) * doppler, now, SMOOTHING);
+      whoosh.source.playbackRate.setTargetAtTime(doppler, now, SMOOTHING);
+      if (whoosh.panner) whoosh.panner.pan.setTargetAtTime(pan, now, SMOOTHING);
+    }
+  }
+
+  // Rain follows the weather's own crossfade; wind follows the air at the shooting line.
+  update_ambience(now) {
+    const sim = this.sim;
+    const rain = sim.weather.weights.rain || 0;
+    const wind = Math.min(1, sim.get_wind_at(sim.get_player_origin()).norm() / 15);
+    this.rain_gain.gain.setTargetAtTime(0.35 * rain, now, 0.3);
+    this.wind_gain.gain.setTargetAtTime(0.3 * wind, now, 0.3);
+    this.wind_filter.frequency.setTargetAtTime(180 + 500 * wind, now, 0.3);
+  }
+}
@@ -0,0 +1,127 @@
+// bullseye-bows.js - The bows on the rack at Bullseye Range.
+//
+// A bow is mostly its draw-force curve: force(d) is the weight in the archer's fingers at draw fraction d (0 at
+// brace height, 1 at full draw), as a fraction of the bow's peak weight.  The energy stored on the way back, the
+// area under that curve, is what launches the arrow, so two bows drawn the same distance shoot differently if
+// one stacks up at the end and the other lets off.  Range_Simulation asks the archer's bow
+//
+//     energy(d)       stored energy at draw d, as a fraction of the energy at full draw
+//     pace(d)         how quickly the string comes back at d, relative to GAME_CONFIG.drawChargeRate
+//     efficiency      launch speed relative to the range's speed preset
+//     draw_length     how far the string comes back on screen, relative to ARM_CONFIG.maxPullDistance
+//     fatigue(held)   0 to 1: how tired the arms are after `held` seconds at full draw, which sets the sway
+//     sight           'pins', 'scope' or null, for the renderer's sight overlay; scope_zoom magnifies the view
+//
+// The numbers are each kind's `defaults`, which a bow's settings can override.  Recurve_Bow is the bow the range
+// has always lent out, and the others override what they change.
+
+export const FATIGUE_RAMP = 4;      // seconds from the first tremble to the worst of the shaking
+
+const smoothstep = t => t * t * (3 - 2 * t);
+
+export class Recurve_Bow {
+  static id = 'recurve';
+  static label = 'Recurve';
+  static description = 'Draws smoothly and evenly. Carries a pin sight.';
+
+  // comfort: seconds full draw can be held at full weight before the arms start to shake.  max_sway: radians the
+  // aim wanders at the worst of it.
+  static defaults = { efficiency: 1, draw_length: 1, comfort: 3, max_sway: 0.012, sight: 'pins', scope_zoom: 1 };
+
+  constructor(settings = {}) {
+    Object.assign(this, this.constructor.defaults, settings);
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  // The weight rises in step with the draw, so the energy goes as its square.
+  force(d) {
+    return d;
+  }
+
+  energy(d) {
+    return d * d;
+  }
+
+  pace(d) {
+    return 1;
+  }
+
+  // Tiredness sets in later the less weight there is to hold at full draw.
+  fatigue(held) {
+    const comfort = this.comfort / Math.max(0.25, this.force(1));
+    return Math.min(1, Math.max(0, held - comfort) / FATIGUE_RAMP);
+  }
+}
+
+// A self bow: it stacks, getting heavier ever faster towards full draw, and its heavy limbs are slower to
+// return.  Shot off the hand, without a sight.
+export class Longbow extends Recurve_Bow {
+  static id = 'longbow';
+  static label = 'Longbow';
+  static description = 'Long draw that stacks at the end, and no sight: shoot by instinct.';
+
+  static defaults = { ...Recurve_Bow.defaults, efficiency: 0.88, draw_length: 1.1, comfort: 2.2, max_sway: 0.016,
+    sight: null };
+
+  force(d) {
+    return 0.55 * d + 0.45 * d ** 3;
+  }
+
+  // The integral of force(), over its value at full draw.
+  energy(d) {
+    return (0.275 * d ** 2 + 0.1125 * d ** 4) / 0.3875;
+  }
+
+  // Quick at first, slowing as it stacks.
+  pace(d) {
+    return 1.2 - 0.6 * this.force(d);
+  }
+}
+
+// Cams take the string up to peak weight early and hold it there, then roll over into the valley, leaving only
+// the let-off's remainder to hold at full draw.  Most of the stored energy comes from the long plateau, and the
+// light holding weight means it can be held for a long time.
+export class Compound_Bow extends Recurve_Bow {
+  static id = 'compound';
+  static label = 'Compound';
+  static description = 'Cams store the most energy and let off at full draw. Carries a magnifying scope.';
+
+  // let_off: the fraction of the peak weight gone at full draw.
+  static defaults = { ...Recurve_Bow.defaults, efficiency: 1.15, draw_length: 0.95, comfort: 2.5, max_sway: 0.01,
+    sight: 'scope', scope_zoom: 1.8, let_off: 0.8 };
+
+  constructor(settings = {}) {
+    super(settings);
+    // Stored energy, tabulated by the trapezoid rule: the curve is piecewise, so there's no tidy integral.
+    const steps = 200;
+    this.energy_table = [0];
+    for (let i = 1; i <= steps; i++) {
+      const a = (i - 1) / steps, b = i / steps;
+      this.energy_table.push(this.energy_table[i - 1] + (this.force(a) + this.force(b)) / 2 / steps);
+    }
+  }
+
+  force(d) {
+    if (d < 0.3) return smoothstep(d / 0.3);                                  // up onto the cams
+    if (d < 0.65) return 1;                                                     // peak weight
+    if (d < 0.9) return 1 - this.let_off * smoothstep((d - 0.65) / 0.25);      // over into the valley
+    return 1 - this.let_off;                                                    // against the wall
+  }
+
+  energy(d) {
+    const table = this.energy_table, steps = table.length - 1;
+    const x = Math.min(1, Math.max(0, d)) * steps, i = Math.min(steps - 1, Math.floor(x));
+    return (table[i] + (table[i + 1] - table[i]) * (x - i)) / table[steps];
+  }
+
+  // Slow over the hump, then the string all but falls back into the valley.
+  pace(d) {
+    return 1.4 - 0.7 * this.force(d);
+  }
+}
+
+export const BOWS = Object.fromEntries([Recurve_Bow, Longbow, Compound_Bow].map(bow => [bow.id, bow]));
+export const DEFAULT_BOW = Recurve_Bow.id;
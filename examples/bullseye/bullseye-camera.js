@@ -0,0 +1,261 @@
+// bullseye-camera.js - Where Bullseye Range is watched from.
+//
+// Out of the box the view is the archer's own, turned by the aim.  The other camera modes ride along behind each
+// arrow the player looses and, once it has landed, swing back to the archer.  With bullet time, an arrow about to
+// strike a target also slows the game right down while the camera cuts to the target's side to watch it go in.
+// Aiming or drawing again cuts the show short and brings the view home.
+//
+// Between shots the camera can also walk up to a target (inspect()) and stand square to its face, close enough
+// for the whole face to fill the view, for reading a group.
+//
+// Range_Camera only watches the simulation.  The renderer asks it for a camera matrix each frame, and for
+// time_scale, the fraction of real time the match should be fed while bullet time is on.
+
+import { math } from '../../tiny-graphics-math.js';
+import { segment_vs_cylinder } from './bullseye-collision.js';
+
+const { vec3, Mat4 } = math;
+
+export const CAMERA_MODES = {
+  archer:    { label: 'Archer',              follow: false, bullet_time: false },
+  chase:     { label: 'Chase',               follow: true,  bullet_time: false },
+  cinematic: { label: 'Chase + Slow Motion', follow: true,  bullet_time: true },
+};
+export const DEFAULT_CAMERA_MODE = 'archer';
+export const FIELD_OF_VIEW = Math.PI / 4;     // vertically, before any zoom
+
+const UP = vec3(0, 1, 0);
+const CHASE_OFFSET = { back: 2.2, up: 0.45, ahead: 6 };   // metres behind, above and in front of the arrow
+const FOLLOW_RATE = 6;            // 1/s: how quickly the camera settles into place
+const IMPACT_DISTANCE = 15;       // metres from a target at which an arrow on course for it slows the game
+const IMPACT_VIEW = { side: 2.5, back: 2, up: 0.4 };      // where the close-up watches from, off the arrow's path
+const SLOW_MOTION = 0.08;         // of real time, at the slowest
+const SLOW_MOTION_RATE = 4;       // 1/s: how quickly the game gets back up to speed afterwards
+const LINGER_TIME = 1.2;          // seconds (real) spent looking at where the arrow landed
+const RETURN_TIME = 0.8;          // and spent swinging back to the archer
+const CANCEL_RETURN_TIME = 0.3;   // or when hurried by the player
+const INSPECT_TIME = 1.2;         // seconds to walk up to a target
+const INSPECT_FILL = 0.75;        // of the view's height that a target's face fills when inspected
+
+const smoothstep = t => t * t * (3 - 2 * t);
+const approach = (dt, rate) => 1 - Math.exp(-rate * dt);
+
+export class Range_Camera {
+  constructor(sim, mode_id = DEFAULT_CAMERA_MODE) {
+    this.sim = sim;
+    this.mode_id = mode_id;
+    this.time_scale = 1;
+    this.snap_to_archer();
+
+    sim.on('shot', ({ arrow }) => this.follow(arrow));
+    sim.on('reset', () => this.snap_to_archer());
+  }
+
+  get mode() {
+    return CAMERA_MODES[this.mode_id];
+  }
+
+  // Switching modes mid-flight lets the current shot play out as the old mode had it.
+  cycle_mode() {
+    const ids = Object.keys(CAMERA_MODES);
+    this.mode_id = ids[(ids.indexOf(this.mode_id) + 1) % ids.length];
+  }
+
+  // Whether the view is anything but the archer's own.
+  get away() {
+    return this.state !== 'archer';
+  }
+
+  // The index of the target being looked at, or null.
+  get inspecting() {
+    return this.state === 'inspect' ? this.target_index : null;
+  }
+
+  /* ---------- Poses ---------- */
+
+  archer_pose() {
+    const eye = this.sim.get_player_origin();
+    return { eye, forward: this.sim.current_aim_direction(), up: UP };
+  }
+
+  // Square in front of a target, upright to its face, wherever its motion and mount have taken it.
+  inspect_pose(target) {
+    const forward = target.direction_to_world(vec3(0, 0, -1));
+    const distance = target.radius / INSPECT_FILL / Math.tan(FIELD_OF_VIEW / 2);
+    const center = target.get_center();
+    return { eye: center.minus(forward.times(distance)), forward, up: target.direction_to_world(vec3(0, 1, 0)) };
+  }
+
+  // Set off from the current pose towards another; see travel().
+  set_off(state, duration) {
+    this.state = state;
+    this.arrow = null;
+    this.leaving = { eye: this.eye, forward: this.at.minus(this.eye).normalized(), up: this.up };
+    this.progress = 0;
+    this.duration = duration;
+  }
+
+  // Ease from where the camera set off towards `pose`, which may itself be moving; true once it is there.
+  travel(pose, dt) {
+    this.progress = Math.min(1, this.progress + dt / this.duration);
+    const s = smoothstep(this.progress);
+    const { eye, forward, up } = this.leaving;
+    this.eye = eye.plus(pose.eye.minus(eye).times(s));
+    this.at = this.eye.plus(forward.plus(pose.forward.minus(forward).times(s)).normalized());
+    this.up = up.plus(pose.up.minus(up).times(s)).normalized();
+    return this.progress >= 1;
+  }
+
+  snap_to_archer() {
+    this.state = 'archer';
+    this.arrow = null;
+    this.time_scale = 1;
+    const { eye, forward } = this.archer_pose();
+    this.eye = eye;
+    this.at = eye.plus(forward);
+    this.up = UP;
+  }
+
+  /* ---------- Following Shots ---------- */
+
+  // Chase a newly loosed arrow, if the mode does.
+  follow(arrow) {
+    if (this.mode.follow) this.chase(arrow);
+  }
+
+  // Ride behind `arrow`, setting off from wherever the camera is now.
+  chase(arrow) {
+    this.state = 'chase';
+    this.arrow = arrow;
+    this.up = UP;
+    this.eye_offset = this.eye.minus(arrow.pos);
+    this.at_offset = this.at.minus(arrow.pos);
+  }
+
+  // Hurry back to the archer, for when the player aims or draws mid-show.
+  cancel() {
+    if (this.state === 'archer' || this.state === 'return') return;
+    this.time_scale = 1;
+    this.head_home(CANCEL_RETURN_TIME);
+  }
+
+  head_home(duration = RETURN_TIME) {
+    this.set_off('return', duration);
+  }
+
+  // Walk up to target `target_index` and stay there until sent home.
+  inspect(target_index) {
+    this.time_scale = 1;
+    this.set_off('inspect', INSPECT_TIME);
+    this.target_index = target_index;
+  }
+
+  // Whether the arrow is still going somewhere worth watching.
+  in_flight(arrow) {
+    return arrow.alive && !arrow.stuck && this.sim.arrows.includes(arrow);
+  }
+
+  // The first target the arrow will reach within IMPACT_DISTANCE if it carries on as it is going, or null.
+  // Gravity is counted; the wind over so short a stretch is not.
+  target_ahead(arrow) {
+    const speed = arrow.vel.norm();
+    if (speed < 1e-3) return null;
+    const t = IMPACT_DISTANCE / speed;
+    const end = arrow.pos.plus(arrow.vel.times(t)).plus(vec3(0, 0.5 * this.sim.gravity * t * t, 0));
+    for (const target of this.sim.targets) {
+      if (!target.is_hittable()) continue;
+      const half = target.depth / 2;
+      if (segment_vs_cylinder(target.to_local(arrow.pos), target.to_local(end), target.radius, -half, half))
+        return target;
+    }
+    return null;
+  }
+
+  // Call once a frame with the frame's real (not slowed) length in seconds.
+  update(dt) {
+    const arrow = this.arrow;
+    if ((this.state === 'chase' || this.state === 'impact') && !this.in_flight(arrow)) {
+      this.state = 'linger';
+      this.linger_left = LINGER_TIME;
+    }
+
+    switch (this.state) {
+      case 'archer': {
+        const { eye, forward } = this.archer_pose();
+        this.eye = eye;
+        this.at = eye.plus(forward);
+        break;
+      }
+      case 'chase': {
+        // Offsets from the arrow are eased rather than positions, so even the fastest arrow doesn't leave the
+        // camera behind.
+        const dir = arrow.vel.normalized();
+        const k = approach(dt, FOLLOW_RATE);
+        const eye_offset = dir.times(-CHASE_OFFSET.back).plus(UP.times(CHASE_OFFSET.up));
+        this.eye_offset = this.eye_offset.plus(eye_offset.minus(this.eye_offset).times(k));
+        this.at_offset = this.at_offset.plus(dir.times(CHASE_OFFSET.ahead).minus(this.at_offset).times(k));
+        this.eye = arrow.pos.plus(this.eye_offset);
+        this.at = arrow.pos.plus(this.at_offset);
+
+        if (this.mode.bullet_time) {
+          const target = this.target_ahead(arrow);
+          if (target) {           // the slow-down is sudden; the speeding up again isn't
+            this.state = 'impact';
+            this.impact_target = target;
+            this.time_scale = SLOW_MOTION;
+          }
+        }
+        break;
+      }
+      case 'impact': {
+        const dir = arrow.vel.normalized();
+        const center = this.impact_target.get_center();
+        if (center.minus(arrow.pos).dot(dir) < -1) {       // it went wide after all
+          this.chase(arrow);
+          break;
+        }
+        let side = dir.cross(UP);
+        side = side.norm() > 1e-3 ? side.normalized() : vec3(1, 0, 0);
+        const eye = center.minus(dir.times(IMPACT_VIEW.back)).plus(side.times(IMPACT_VIEW.side))
+          .plus(UP.times(IMPACT_VIEW.up));
+        const at = arrow.pos.plus(center).times(0.5);
+        const k = approach(dt, FOLLOW_RATE);
+        this.eye = this.eye.plus(eye.minus(this.eye).times(k));
+        this.at = this.at.plus(at.minus(this.at).times(k));
+        break;
+      }
+      case 'linger':
+        if (this.sim.arrows.includes(arrow))
+          this.at = this.at.plus(arrow.pos.minus(this.at).times(approach(dt, FOLLOW_RATE)));
+        this.linger_left -= dt;
+        if (this.linger_left <= 0) this.head_home();
+        break;
+      case 'return':
+        if (this.travel(this.archer_pose(), dt)) this.state = 'archer';
+        break;
+      case 'inspect':
+        this.travel(this.inspect_pose(this.sim.targets[this.target_index]), dt);
+        break;
+    }
+
+    if (this.state !== 'impact') {
+      this.time_scale += (1 - this.time_scale) * approach(dt, SLOW_MOTION_RATE);
+      if (this.time_scale > 0.999) this.time_scale = 1;
+    }
+  }
+
+  // The camera matrix (world to eye) for this frame.  From the archer it is built straight from the aim, exactly
+  // as the game always has.
+  get_matrix() {
+    const sim = this.sim;
+    if (this.state === 'archer') {
+      const { yaw, pitch } = sim.get_aim_angles();
+      return Mat4.rotation(-pitch, 1, 0, 0)
+        .times(Mat4.rotation(-yaw, 0, 1, 0))
+        .times(Mat4.translation(...sim.get_player_origin().times(-1)));
+    }
+    const forward = this.at.minus(this.eye).normalized();
+    const up = Math.abs(forward.dot(this.up)) > 0.999 ? vec3(0, 0, -1) : this.up;
+    return Mat4.look_at(this.eye, this.eye.plus(forward), up);
+  }
+}
@@ -0,0 +1,143 @@
+// bullseye-collision.js - Swept intersection tests for Bullseye Range arrows.
+//
+// Each test takes the segment an arrow covered during one step (p0 = where it was, p1 = where it is now) and
+// reports the first point along it that touches the shape, as a fraction t in [0, 1].  Testing the whole segment
+// rather than the end point keeps fast arrows from skipping over thin or small geometry.
+import { math } from '../../tiny-graphics-math.js';
+
+const { vec3 } = math;
+
+/* =========================
+   Segment vs Cylinder
+========================= */
+// The cylinder is in its own local frame: axis along z, radius `radius`, flat faces at z_back and z_front.
+// Returns { t, point, face } where face is 'front', 'back' or 'edge', or null on a miss.
+export function segment_vs_cylinder(p0, p1, radius, z_back, z_front) {
+  const d = p1.minus(p0);
+  let best = null;
+  const consider = (t, face) => {
+    if (t >= 0 && t <= 1 && (!best || t < best.t)) best = { t, face };
+  };
+
+  // Flat faces
+  if (Math.abs(d[2]) > 1e-9) {
+    for (const [z, face] of [[z_front, 'front'], [z_back, 'back']]) {
+      const t = (z - p0[2]) / d[2];
+      const x = p0[0] + t * d[0];
+      const y = p0[1] + t * d[1];
+      if (x * x + y * y <= radius * radius) consider(t, face);
+    }
+  }
+
+  // Curved edge: solve |xy(t)| = radius, keeping the entering root
+  const a = d[0] * d[0] + d[1] * d[1];
+  if (a > 1e-12) {
+    const b = 2 * (p0[0] * d[0] + p0[1] * d[1]);
+    const c = p0[0] * p0[0] + p0[1] * p0[1] - radius * radius;
+    const disc = b * b - 4 * a * c;
+    if (disc >= 0) {
+      const t = (-b - Math.sqrt(disc)) / (2 * a);
+      const z = p0[2] + t * d[2];
+      if (z >= z_back && z <= z_front) consider(t, 'edge');
+    }
+  }
+
+  if (!best) return null;
+  return { ...best, point: p0.plus(d.times(best.t)) };
+}
+
+// Radial distance of a local-frame point from the cylinder axis.
+export function radial_distance(local_point) {
+  return Math.hypot(local_point[0], local_point[1]);
+}
+
+// Outward surface normal, in the cylinder's local frame, for a hit returned by segment_vs_cylinder().
+export function cylinder_hit_normal(hit) {
+  if (hit.face === 'front') return vec3(0, 0, 1);
+  if (hit.face === 'back') return vec3(0, 0, -1);
+  const r = radial_distance(hit.point) || 1;
+  return vec3(hit.point[0] / r, hit.point[1] / r, 0);
+}
+
+/* =========================
+   Segment vs Capsule
+========================= */
+// Closest points between segments p1-q1 and p2-q2 (Ericson, Real-Time Collision Detection 5.1.9).
+// Returns the parameters s (along the first) and t (along the second) plus the squared distance.
+export function closest_points_on_segments(p1, q1, p2, q2) {
+  const d1 = q1.minus(p1), d2 = q2.minus(p2), r = p1.minus(p2);
+  const a = d1.dot(d1), e = d2.dot(d2), f = d2.dot(r);
+  const clamp01 = x => Math.max(0, Math.min(1, x));
+  let s, t;
+
+  if (a <= 1e-12 && e <= 1e-12) {
+    s = t = 0;
+  } else if (a <= 1e-12) {
+    s = 0;
+    t = clamp01(f / e);
+  } else {
+    const c = d1.dot(r);
+    if (e <= 1e-12) {
+      t = 0;
+      s = clamp01(-c / a);
+    } else {
+      const b = d1.dot(d2);
+      const denom = a * e - b * b;
+      s = denom > 1e-12 ? clamp01((b * f - c * e) / denom) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = clamp01(-c / a);
+      } else if (t > 1) {
+        t = 1;
+        s = clamp01((b - c) / a);
+      }
+    }
+  }
+
+  const c1 = p1.plus(d1.times(s));
+  const c2 = p2.plus(d2.times(t));
+  const diff = c1.minus(c2);
+  return { s, t, dist_sq: diff.dot(diff), point: c1 };
+}
+
+// The smaller root of a t^2 + b t + c = 0, or null if there is none.
+function entering_root(a, b, c) {
+  const disc = b * b - 4 * a * c;
+  return a > 1e-12 && disc >= 0 ? (-b - Math.sqrt(disc)) / (2 * a) : null;
+}
+
+// The capsule is every point within `radius` of the segment a-b: a cylinder around it, capped by a sphere at each
+// end.  Returns { t, point } where the swept segment p0-p1 first comes within the radius (t = 0 if it starts
+// inside), or null.
+export function segment_vs_capsule(p0, p1, a, b, radius) {
+  const d = p1.minus(p0), r2 = radius * radius;
+  if (closest_points_on_segments(p0, p0, a, b).dist_sq <= r2) return { t: 0, point: p0 };
+
+  let best = null;
+  const consider = t => {
+    if (t !== null && t >= 0 && t <= 1 && (best === null || t < best)) best = t;
+  };
+
+  // The body: the parts of p0 and d across the axis, where the crossing also lies between the ends.
+  const axis = b.minus(a), length = axis.norm();
+  if (length > 1e-9) {
+    const u = axis.times(1 / length);
+    const m = p0.minus(a);
+    const m_across = m.minus(u.times(m.dot(u))), d_across = d.minus(u.times(d.dot(u)));
+    const t = entering_root(d_across.dot(d_across), 2 * m_across.dot(d_across), m_across.dot(m_across) - r2);
+    if (t !== null) {
+      const along = m.plus(d.times(t)).dot(u);
+      if (along >= 0 && along <= length) consider(t);
+    }
+  }
+
+  // The caps
+  for (const center of [a, b]) {
+    const m = p0.minus(center);
+    consider(entering_root(d.dot(d), 2 * m.dot(d), m.dot(m) - r2));
+  }
+
+  if (best === null) return null;
+  return { t: best, point: p0.plus(d.times(best)) };
+}
@@ -0,0 +1,59 @@
+// bullseye-groups.js - Reading the arrows in a target the way an archer reads a group.
+//
+// target_group(sim, target_index) gathers the arrows standing in one target's face, in the order they were shot,
+// and sums them up.  Everything is in millimetres on the face, x to the right and y up as seen from the front,
+// with the gold at 0, 0:
+//
+//     shots     { number, player, x, y, ring_frac, points } for each arrow; number is which shot of the round it was
+//     center    the mean point of impact, { x, y }
+//     offset    how far the mean point of impact is from the gold
+//     radius    the group radius: the shots' mean distance from the mean point of impact
+//     spread    the extreme spread: the distance between the two shots furthest apart
+//
+// center, offset, radius and spread are null for an empty target.  Arrows in the back of a target (which score
+// nothing and have no ring) and arrows that broke clay on their way through are left out.
+
+import { math } from '../../tiny-graphics-math.js';
+import { ARROW_STANDOUT } from './bullseye-simulation.js';
+
+const { vec3 } = math;
+
+const mm = metres => metres * 1000;
+
+export function target_group(sim, target_index) {
+  const target = sim.targets[target_index];
+  const shots = [];
+  for (const arrow of sim.arrows) {
+    if (arrow.stuck_in !== 'target' || arrow.stuck_target_index !== target_index) continue;
+    if (arrow.stuck_local_dir[2] > 0) continue;     // came from behind
+    // The arrow is kept by its nock; it struck the face ARROW_STANDOUT further along the shaft.
+    const point = arrow.stuck_offset.plus(arrow.stuck_local_dir.times(ARROW_STANDOUT));
+    const ring_frac = Math.min(vec3(point[0], point[1], 0).norm() / target.radius, 1);
+    shots.push({
+      number: arrow.id + 1, player: arrow.player, x: mm(point[0]), y: mm(point[1]), ring_frac,
+      points: sim.score_for_radius_fraction(ring_frac, target),
+    });
+  }
+  if (!shots.length) return { target_index, shots, center: null, offset: null, radius: null, spread: null };
+
+  const center = {
+    x: shots.reduce((sum, shot) => sum + shot.x, 0) / shots.length,
+    y: shots.reduce((sum, shot) => sum + shot.y, 0) / shots.length,
+  };
+  const radius = shots.reduce((sum, shot) => sum + Math.hypot(shot.x - center.x, shot.y - center.y), 0) / shots.length;
+  let spread = 0;
+  for (const [i, a] of shots.entries())
+    for (const b of shots.slice(i + 1)) spread = Math.max(spread, Math.hypot(a.x - b.x, a.y - b.y));
+
+  return { target_index, shots, center, offset: Math.hypot(center.x, center.y), radius, spread };
+}
+
+// Which way and how far the group sits off the gold, e.g. '35 MM HIGH, 12 MM LEFT', or 'CENTERED'.
+export function describe_bias({ center }) {
+  if (!center) return '';
+  const parts = [];
+  const vertical = Math.round(center.y), horizontal = Math.round(center.x);
+  if (vertical) parts.push(`${Math.abs(vertical)} MM ${vertical > 0 ? 'HIGH' : 'LOW'}`);
+  if (horizontal) parts.push(`${Math.abs(horizontal)} MM ${horizontal > 0 ? 'RIGHT' : 'LEFT'}`);
+  return parts.length ? parts.join(', ') : 'CENTERED';
+}
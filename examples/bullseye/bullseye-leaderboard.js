@@ -0,0 +1,113 @@
+// bullseye-leaderboard.js - Local high score tables for Bullseye Range.
+//
+// Scores are only comparable when they were shot under the same conditions, so there is one table per combination
+// of level, arrow speed preset, weather, game mode and bow.  A round whose speed, weather or bow changed between
+// shots has 'mixed' in its place.  All tables live under a single localStorage key as JSON:
+//
+//     { "meadow|60|clear": [ { "name": "ROBIN", "score": 54, "shots": 20, "date": "2026-05-01T18:22:03.000Z" } ],
+//       "meadow|60|clear|blitz": [ ... ], "meadow|60|clear|blitz|compound": [ ... ] }
+//
+// Classic tables shot with the recurve keep the key they had before there were other modes and bows.
+
+import { DEFAULT_BOW } from './bullseye-bows.js';
+
+export const LEADERBOARD_SIZE = 10;
+export const LEADERBOARD_STORAGE_KEY = 'bullseye-range.leaderboards';
+export const PLAYER_NAME_STORAGE_KEY = 'bullseye-range.player-name';
+export const MAX_NAME_LENGTH = 12;
+
+// The table a finished round belongs in; takes the summary the simulation sends with 'round_end'.
+export function leaderboard_key({ level_id, speed, weather, mode = 'classic', bow = DEFAULT_BOW }) {
+  let key = `${level_id}|${speed}|${weather}`;
+  if (mode !== 'classic') key += `|${mode}`;
+  if (bow !== DEFAULT_BOW) key += `|${bow}`;
+  return key;
+}
+
+// The browser's localStorage, or null where there is none or the browser refuses it: merely reading
+// localStorage throws when site storage is blocked.
+function default_storage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (error) {
+    console.warn('Local storage is unavailable; high scores will only last the session', error);
+    return null;
+  }
+}
+
+export class Leaderboard {
+  // storage: anything with getItem/setItem (localStorage by default).  Without one, tables only last the session.
+  constructor(storage = default_storage()) {
+    this.storage = storage || null;
+    this.tables = this.load();
+  }
+
+  load() {
+    if (!this.storage) return {};
+    try {
+      const tables = JSON.parse(this.storage.getItem(LEADERBOARD_STORAGE_KEY));
+      return tables && typeof tables === 'object' && !Array.isArray(tables) ? tables : {};
+    } catch (error) {
+      console.warn('Ignoring unreadable leaderboard data', error);
+      return {};
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(this.tables));
+    } catch (error) {
+      console.warn('Could not save the leaderboard', error);
+    }
+  }
+
+  // Best first.  Returns a copy, so callers can't reorder the stored table.
+  entries(key) {
+    return [...(this.tables[key] || [])];
+  }
+
+  // Whether `score` would make the top LEADERBOARD_SIZE for `key`.  Ties go to whoever got there first.
+  qualifies(key, score) {
+    const table = this.entries(key);
+    return table.length < LEADERBOARD_SIZE || score > table[table.length - 1].score;
+  }
+
+  // Adds a result and returns its 0-based rank, or -1 if it didn't make the table.
+  submit(key, { name, score, shots }) {
+    if (!this.qualifies(key, score)) return -1;
+
+    const entry = { name: clean_name(name), score, shots, date: new Date().toISOString() };
+    const table = this.entries(key);
+    let rank = table.findIndex(e => score > e.score);
+    if (rank < 0) rank = table.length;
+    table.splice(rank, 0, entry);
+    this.tables[key] = table.slice(0, LEADERBOARD_SIZE);
+    this.save();
+    return rank;
+  }
+
+  // The name last typed in, so the entry box can be pre-filled.
+  get last_name() {
+    if (!this.storage) return '';
+    try {
+      return this.storage.getItem(PLAYER_NAME_STORAGE_KEY) || '';
+    } catch (error) {
+      console.warn('Could not read the player name', error);
+      return '';
+    }
+  }
+
+  set last_name(name) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(PLAYER_NAME_STORAGE_KEY, clean_name(name));
+    } catch (error) {
+      console.warn('Could not save the player name', error);
+    }
+  }
+}
+
+function clean_name(name) {
+  return String(name || '').trim().slice(0, MAX_NAME_LENGTH) || 'ANONYMOUS';
+}
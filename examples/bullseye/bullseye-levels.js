@@ -0,0 +1,299 @@
+// bullseye-levels.js - Course descriptions for Bullseye Range.
+//
+// A level is a JSON object.  Every field except `targets` is optional and falls back to the built-in meadow:
+//
+//     {
+//       "id": "ridge", "name": "Ridge Crossing",
+//       "shotLimit": 15,
+//       "config":  { "gravity": -12 },                       // overrides for GAME_CONFIG
+//       "scoring": [ { "frac": 0.25, "points": 10 }, ... ],  // innermost band first, like TARGET_SCORING
+//       "targets": [ { "center": [x, y, z], "radius": 2.5, "depth": 0.2,
+//                      "motion": { "type": "spline", "points": [[0, 0, 0], [6, 2, 0]], "period": 6 },
+//                      "reaction": { "type": "recoil" }, "mount": { "type": "stand", "mass": 1.5 },
+//                      "yaw": 0, "pitch": 0, "roll": 0, "turnRate": 0 } ],
+//       "obstacles": [ { "type": "cow", "x": -10, "z": -28, "yaw": 0 } ],
+//       "scenery": { "trees": [ { "x", "z", "h", "s" } ], "hillsNear": [ [x, y, z] ], "hillsFar": [ [x, y, z] ],
+//                    "mountains": [ { "pos": [x, y, z], "width", "height", "depth" } ],
+//                    "clouds": [ { "pos": [x, y, z], "scale": [sx, sy, sz] } ] },
+//       "weather": { "initial": "clear", "schedule": [ { "at": 30, "type": "rain" } ], "auto": false }
+//     }
+//
+// Target motions (still, lissajous, spline, popup, pendulum), reactions to hits (none, recoil, spin, break), mounts
+// (fixed, stand, hanging) and their settings are described in bullseye-targets.js.  A target without a mount is
+// fixed: hits don't move it.  A target without a motion can give "amplitude": [ax, ay] and "frequency": [fx, fy]
+// for the original sine motion instead.
+//
+// Weather changes fade in over GAME_CONFIG.weatherTransitionTime.  "auto" starts the match with the weather changing
+// by itself at random, as well as on the schedule.
+//
+// New courses go in ./levels/ and are listed in ./levels/index.json; no code changes are needed.
+
+import { TARGET_MOTIONS, TARGET_REACTIONS, TARGET_MOUNTS } from './bullseye-targets.js';
+
+/* =========================
+   Built-in Course
+========================= */
+export const DEFAULT_LEVEL = {
+  id: 'meadow',
+  name: 'Meadow',
+  shotLimit: 20,
+  config: {},
+  scoring: null,
+  targets: [
+    { center: [-5, 4, -40], radius: 2.5, depth: 0.2, amplitude: [4, 1.5], frequency: [1.2, 2.4] },
+    { center: [ 6, 6, -60], radius: 3.0, depth: 0.2, amplitude: [8, 3.0], frequency: [0.8, 0.4] },
+  ],
+  // Cows are kept well outside the shooting lane (|x| > 7) and away from target z positions,
+  // each with a distinct yaw so they face different directions.
+  obstacles: [
+    { type: 'cow', x: -10, z: -28, yaw: 0.0 },
+    { type: 'cow', x: -13, z: -18, yaw: 2.4 },
+    { type: 'cow', x: -11, z: -50, yaw: 1.1 },
+    { type: 'cow', x: -14, z: -72, yaw: Math.PI },
+    { type: 'cow', x:  10, z: -22, yaw: -0.7 },
+    { type: 'cow', x:  12, z: -45, yaw: Math.PI * 0.6 },
+    { type: 'cow', x:  13, z: -68, yaw: -2.1 },
+    { type: 'cow', x: -16, z: -35, yaw: 0.5 },
+    { type: 'cow', x:  15, z: -33, yaw: Math.PI * 1.4 },
+  ],
+  scenery: {
+    trees: [
+      { x: -24, z: -22, h: 4.6, s: 1.00 },
+      { x: -19, z: -34, h: 3.0, s: .6 },
+      { x: -24, z: -48, h: 4.3, s: 0.95 },
+      { x: -19, z: -62, h: 5.4, s: 1.12 },
+      { x: -24, z: -76, h: 4.8, s: 1.02 },
+      { x: 19, z: -30, h: 5.2, s: 1.10 },
+      { x:  24, z: -34, h: 5.3, s: 1.10 },
+      { x:  -24, z: -34, h: 6.3, s: 1.10 },
+      { x:  19, z: -48, h: 4.4, s: 0.94 },
+      { x:  20, z: -60, h: 8.1, s: 1.3 },
+      { x:  -19, z: -76, h: 4.9, s: 1.00 },
+      { x:  24, z: -90, h: 5.5, s: 1.14 },
+      { x: -28, z: -28, h: 5.1, s: 1.06 },
+      { x: -20, z: -56, h: 4.7, s: 0.97 },
+      { x: -27, z: -44, h: 5.4, s: 1.12 },
+      { x: 28, z: -28, h: 5.0, s: 1.04 },
+      { x: 30, z: -56, h: 4.8, s: 0.98 },
+      { x: 27, z: -84, h: 5.3, s: 1.10 },
+    ],
+    hillsFar: [[-45, -6, -112], [38, -8, -118], [0, -10, -126]],
+    hillsNear: [[-32, -6, -75], [28, -7, -82], [0, -8, -92]],
+    mountains: [
+      { pos: [-78, 2, -158], width: 16, height: 24, depth: 1.0 },
+      { pos: [-42, 1, -150], width: 13, height: 19, depth: 0.95 },
+      { pos: [-6,  3, -162], width: 18, height: 28, depth: 1.05 },
+      { pos: [32,  2, -154], width: 15, height: 22, depth: 0.9 },
+      { pos: [72,  1, -160], width: 17, height: 25, depth: 1.0 },
+    ],
+    clouds: [
+      { pos: [-28, 26, -95], scale: [4.5, 3.0, 2.2] },
+      { pos: [18, 22, -85], scale: [3.6, 2.5, 2.0] },
+      { pos: [45, 28, -110], scale: [4.0, 2.8, 2.4] },
+    ],
+  },
+  weather: { initial: 'clear', schedule: [], auto: false },
+};
+
+/* =========================
+   Validation
+========================= */
+// Checks a level's shape and fills in defaults.  The result uses the same format as the input (plain JSON, no
+// vectors), so it can be stored in replays and parsed again.  Throws an Error naming the bad field.
+export function parse_level(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data))
+    throw new Error('Level must be a JSON object');
+
+  const label = data.id || data.name || 'unnamed';
+  const fail = message => { throw new Error(`Level "${label}": ${message}`); };
+
+  const number = (value, fallback, what) => {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value)) fail(`${what} must be a number`);
+    return value;
+  };
+  const positive = (value, fallback, what) => {
+    const v = number(value, fallback, what);
+    if (!(v > 0)) fail(`${what} must be more than zero`);
+    return v;
+  };
+  const count = (value, fallback, what) => {
+    const v = number(value, fallback, what);
+    if (!Number.isInteger(v) || v < 1) fail(`${what} must be a whole number more than zero`);
+    return v;
+  };
+  const object = (value, what) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) fail(`${what} must be an object`);
+    return value;
+  };
+  const numbers = (value, count, fallback, what) => {
+    if (value === undefined && fallback !== undefined) return [...fallback];
+    if (!Array.isArray(value) || value.length !== count || !value.every(Number.isFinite))
+      fail(`${what} must be a list of ${count} numbers`);
+    return [...value];
+  };
+  const list = (value, fallback, what) => {
+    if (value === undefined) return fallback;
+    if (!Array.isArray(value)) fail(`${what} must be a list`);
+    return value;
+  };
+  // A motion, reaction or mount: `type` picks one of `kinds`, and each of its settings is checked against the kind of
+  // value its default is.  A null default is an optional number; a list default is a list of points.
+  const kind_settings = (value, kinds, what) => {
+    object(value, what);
+    const kind = kinds[value.type];
+    if (!kind) fail(`${what}.type "${value.type}" is not one of ${Object.keys(kinds).join(', ')}`);
+
+    const settings = { type: value.type };
+    for (const [key, fallback] of Object.entries(kind.defaults)) {
+      const v = value[key], where = `${what}.${key}`;
+      if (fallback === null) {
+        settings[key] = v === undefined || v === null ? null : number(v, undefined, where);
+      } else if (typeof fallback === 'number') {
+        settings[key] = number(v, fallback, where);
+      } else if (typeof fallback === 'boolean') {
+        if (v !== undefined && typeof v !== 'boolean') fail(`${where} must be true or false`);
+        settings[key] = v === undefined ? fallback : v;
+      } else if (fallback.length && fallback.every(Number.isFinite)) {
+        settings[key] = numbers(v, fallback.length, fallback, where);
+      } else {
+        settings[key] = list(v, fallback, where).map((p, i) => numbers(p, 3, undefined, `${where}[${i}]`));
+      }
+    }
+    const problem = kind.check ? kind.check(settings) : null;
+    if (problem) fail(`${what}: ${problem}`);
+    return settings;
+  };
+
+  if (!Array.isArray(data.targets) || data.targets.length === 0) fail('needs at least one target');
+
+  const targets = data.targets.map((t, i) => {
+    const what = `targets[${i}]`;
+    object(t, what);
+    if (t.motion !== undefined && (t.amplitude !== undefined || t.frequency !== undefined))
+      fail(`${what} gives both a motion and an amplitude or frequency`);
+    const motion = t.motion !== undefined ? t.motion : {
+      type: 'lissajous',
+      amplitude: numbers(t.amplitude, 2, [0, 0], `${what}.amplitude`),
+      frequency: numbers(t.frequency, 2, [0, 0], `${what}.frequency`),
+    };
+    return {
+      center: numbers(t.center, 3, undefined, `${what}.center`),
+      radius: positive(t.radius, 2.5, `${what}.radius`),
+      depth: positive(t.depth, 0.2, `${what}.depth`),
+      motion: kind_settings(motion, TARGET_MOTIONS, `${what}.motion`),
+      reaction: kind_settings(t.reaction ?? { type: 'none' }, TARGET_REACTIONS, `${what}.reaction`),
+      mount: kind_settings(t.mount ?? { type: 'fixed' }, TARGET_MOUNTS, `${what}.mount`),
+      yaw: number(t.yaw, 0, `${what}.yaw`),
+      pitch: number(t.pitch, 0, `${what}.pitch`),
+      roll: number(t.roll, 0, `${what}.roll`),
+      turnRate: number(t.turnRate, 0, `${what}.turnRate`),
+    };
+  });
+
+  const obstacles = list(data.obstacles, DEFAULT_LEVEL.obstacles, 'obstacles').map((o, i) => {
+    const what = `obstacles[${i}]`;
+    object(o, what);
+    if (o.type !== 'cow') fail(`${what}.type "${o.type}" is not a known obstacle`);
+    return { type: o.type, x: number(o.x, 0, `${what}.x`), z: number(o.z, 0, `${what}.z`), yaw: number(o.yaw, 0, `${what}.yaw`) };
+  });
+
+  let scoring = null;
+  if (data.scoring !== undefined && data.scoring !== null) {
+    scoring = list(data.scoring, null, 'scoring').map((band, i) => {
+      object(band, `scoring[${i}]`);
+      return {
+        frac: number(band.frac, undefined, `scoring[${i}].frac`),
+        points: number(band.points, undefined, `scoring[${i}].points`),
+      };
+    });
+    if (scoring.some((band, i) => i > 0 && band.frac <= scoring[i - 1].frac))
+      fail('scoring bands must go from the innermost ring outwards');
+  }
+
+  const config = data.config === undefined ? {} : object(data.config, 'config');
+  const shot_limit = count(data.shotLimit, count(config.maxShots, DEFAULT_LEVEL.shotLimit, 'config.maxShots'),
+    'shotLimit');
+
+  const scenery_in = data.scenery === undefined ? {} : object(data.scenery, 'scenery');
+  const scenery_defaults = DEFAULT_LEVEL.scenery;
+  const scenery = {
+    trees: list(scenery_in.trees, scenery_defaults.trees, 'scenery.trees').map((t, i) => {
+      object(t, `scenery.trees[${i}]`);
+      return {
+        x: number(t.x, 0, `scenery.trees[${i}].x`),
+        z: number(t.z, 0, `scenery.trees[${i}].z`),
+        h: number(t.h, 5, `scenery.trees[${i}].h`),
+        s: number(t.s, 1, `scenery.trees[${i}].s`),
+      };
+    }),
+    hillsFar: list(scenery_in.hillsFar, scenery_defaults.hillsFar, 'scenery.hillsFar')
+      .map((p, i) => numbers(p, 3, undefined, `scenery.hillsFar[${i}]`)),
+    hillsNear: list(scenery_in.hillsNear, scenery_defaults.hillsNear, 'scenery.hillsNear')
+      .map((p, i) => numbers(p, 3, undefined, `scenery.hillsNear[${i}]`)),
+    mountains: list(scenery_in.mountains, scenery_defaults.mountains, 'scenery.mountains').map((m, i) => {
+      object(m, `scenery.mountains[${i}]`);
+      return {
+        pos: numbers(m.pos, 3, undefined, `scenery.mountains[${i}].pos`),
+        width: number(m.width, 15, `scenery.mountains[${i}].width`),
+        height: number(m.height, 22, `scenery.mountains[${i}].height`),
+        depth: number(m.depth, 1, `scenery.mountains[${i}].depth`),
+      };
+    }),
+    clouds: list(scenery_in.clouds, scenery_defaults.clouds, 'scenery.clouds').map((c, i) => {
+      object(c, `scenery.clouds[${i}]`);
+      return {
+        pos: numbers(c.pos, 3, undefined, `scenery.clouds[${i}].pos`),
+        scale: numbers(c.scale, 3, [4, 2.8, 2.2], `scenery.clouds[${i}].scale`),
+      };
+    }),
+  };
+
+  const weather_in = data.weather === undefined ? {} : object(data.weather, 'weather');
+  const weather = {
+    initial: weather_in.initial === undefined ? 'clear' : String(weather_in.initial),
+    schedule: list(weather_in.schedule, [], 'weather.schedule')
+      .map((e, i) => object(e, `weather.schedule[${i}]`))
+      .map((e, i) => ({ at: number(e.at, undefined, `weather.schedule[${i}].at`), type: String(e.type) }))
+      .sort((a, b) => a.at - b.at),
+    auto: weather_in.auto === undefined ? false : weather_in.auto,
+  };
+  if (typeof weather.auto !== 'boolean') fail('weather.auto must be true or false');
+
+  return {
+    id: String(data.id || label),
+    name: String(data.name || data.id || label),
+    shotLimit: shot_limit,
+    config: { ...config },
+    scoring,
+    targets,
+    obstacles,
+    scenery,
+    weather,
+  };
+}
+
+/* =========================
+   Loading
+========================= */
+const LEVELS_DIRECTORY = new URL('./levels/', import.meta.url);
+
+// The level-select list: the built-in meadow followed by whatever ./levels/index.json names.
+export function fetch_level_index() {
+  const built_in = [{ id: DEFAULT_LEVEL.id, name: DEFAULT_LEVEL.name, level: DEFAULT_LEVEL }];
+  return fetch(new URL('index.json', LEVELS_DIRECTORY))
+    .then(response => response.ok ? response.json() : Promise.reject(response.status))
+    .then(entries => built_in.concat(entries))
+    .catch(error => {
+      console.warn('Could not read the level index; only the built-in course is available.', error);
+      return built_in;
+    });
+}
+
+// Resolves to a parsed level for one entry of fetch_level_index().
+export function fetch_level(entry) {
+  if (entry.level) return Promise.resolve(parse_level(entry.level));
+  return fetch(new URL(entry.file, LEVELS_DIRECTORY))
+    .then(response => response.ok ? response.json() : Promise.reject(new Error(`${entry.file}: HTTP ${response.status}`)))
+    .then(parse_level);
+}
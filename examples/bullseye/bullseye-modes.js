@@ -0,0 +1,198 @@
+// bullseye-modes.js - The rules for each way of playing Bullseye Range.
+//
+// A mode decides how many arrows a match has, whether it runs against the clock, whether the targets move, what a
+// hit is worth, how the streak counts and what ends the match.  Range_Simulation builds one mode per player afresh on
+// every reset() and asks the shooting player's at each of those points.  Game_Mode is the classic match -- shoot
+// the quiver, keep the score -- and the others override only the rules they change.
+
+export const BLITZ_TIME_LIMIT = 60;         // seconds
+export const BLITZ_COW_PENALTY = 10;        // seconds off the clock
+export const PRECISION_STREAK_FRACTION = 0.1;    // a precision streak needs hits this close to center (of the radius)
+
+// Why a match ended, as shown on the results screen.
+export const END_REASONS = {
+  out_of_arrows: 'OUT OF ARROWS',
+  time_up: 'TIME UP',
+  missed: 'MISSED',
+  cow_hit: 'HIT A COW',
+};
+
+export class Game_Mode {
+  static id = 'classic';
+  static label = 'Classic';
+  static description = 'Shoot the whole quiver for the highest score. Hitting a cow loses everything.';
+  static cow_penalty = 'SCORE LOST';      // what the HUD says a cow hit cost
+
+  // player: the simulation's record of whose match this is -- { index, score, streak, shots_taken }.
+  constructor(sim, player) {
+    this.sim = sim;
+    this.player = player;
+    this.elapsed = 0;             // seconds this player has spent at the line
+  }
+
+  // Called every step of the player's own turns.
+  update(dt) {
+    this.elapsed += dt;
+  }
+
+  // Arrows in the quiver; Infinity for as many as the player likes.
+  shot_limit() {
+    return this.sim.level.shotLimit;
+  }
+
+  // Seconds the match lasts, or null for no clock.
+  time_limit() {
+    return null;
+  }
+
+  // Whether targets follow their paths from the level, or hold still at their centers.
+  targets_move() {
+    return true;
+  }
+
+  // Points for a hit `frac` of the way out from the center of `target` to its rim.
+  score_for_radius_fraction(frac, target) {
+    for (const band of this.sim.scoring) {
+      if (frac <= band.frac) return band.points;
+    }
+    return 0;
+  }
+
+  // The streak after a target hit.  hit: { points, ring_frac, target_index }
+  streak_after_hit(streak, { points }) {
+    return points >= 8 ? streak + 1 : 0;
+  }
+
+  on_hit(hit) {}
+
+  // An arrow came down without touching a target.
+  on_miss(arrow) {}
+
+  on_cow_hit() {
+    this.player.score = 0;
+    this.player.streak = 0;
+  }
+
+  // A key of END_REASONS once the match can take no more shots, or null while it goes on.  The simulation still
+  // waits for arrows in the air to land before calling the round over.
+  end_reason() {
+    return this.player.shots_taken >= this.sim.max_shots ? 'out_of_arrows' : null;
+  }
+
+  // Anything the mode adds to the simulation's round summary.
+  summary() {
+    return {};
+  }
+}
+
+export class Blitz_Mode extends Game_Mode {
+  static id = 'blitz';
+  static label = 'Timed Blitz';
+  static description = `Unlimited arrows for ${BLITZ_TIME_LIMIT} seconds. A miss breaks the streak; ` +
+    `a cow costs ${BLITZ_COW_PENALTY} seconds instead of the score.`;
+  static cow_penalty = `-${BLITZ_COW_PENALTY} SECONDS`;
+
+  constructor(sim, player) {
+    super(sim, player);
+    this.penalty = 0;
+  }
+
+  shot_limit() {
+    return Infinity;
+  }
+
+  time_limit() {
+    return BLITZ_TIME_LIMIT - this.penalty;
+  }
+
+  // Against the clock every scoring hit keeps the run going, not just the inner rings.
+  streak_after_hit(streak, { points }) {
+    return points > 0 ? streak + 1 : 0;
+  }
+
+  on_miss() {
+    this.player.streak = 0;
+  }
+
+  on_cow_hit() {
+    this.penalty += BLITZ_COW_PENALTY;
+    this.player.streak = 0;
+  }
+
+  // Each player's clock only runs on their own turns.
+  end_reason() {
+    return this.elapsed >= this.time_limit() ? 'time_up' : null;
+  }
+}
+
+export class Survival_Mode extends Game_Mode {
+  static id = 'survival';
+  static label = 'Survival';
+  static description = 'Unlimited arrows, but the first miss or cow hit ends the match. The streak counts every hit.';
+  static cow_penalty = 'MATCH OVER';
+
+  constructor(sim, player) {
+    super(sim, player);
+    this.failed = null;
+  }
+
+  shot_limit() {
+    return Infinity;
+  }
+
+  streak_after_hit(streak) {
+    return streak + 1;
+  }
+
+  on_miss() {
+    this.failed = this.failed || 'missed';
+  }
+
+  // The score stands; the match just ends.
+  on_cow_hit() {
+    this.failed = this.failed || 'cow_hit';
+  }
+
+  end_reason() {
+    return this.failed;
+  }
+}
+
+export class Precision_Mode extends Game_Mode {
+  static id = 'precision';
+  static label = 'Precision';
+  static description = 'The targets hold still. Each hit scores the millimetres it landed inside the rim, and the ' +
+    'results give your average distance from center.';
+
+  constructor(sim, player) {
+    super(sim, player);
+    this.offsets_mm = [];
+  }
+
+  targets_move() {
+    return false;
+  }
+
+  score_for_radius_fraction(frac, target) {
+    return Math.round(Math.max(0, 1 - frac) * target.radius * 1000);
+  }
+
+  streak_after_hit(streak, { points, ring_frac }) {
+    return points > 0 && ring_frac <= PRECISION_STREAK_FRACTION ? streak + 1 : 0;
+  }
+
+  // Back-face and rim hits score nothing and say nothing about the archer's grouping.
+  on_hit({ points, ring_frac, target_index }) {
+    if (points > 0) this.offsets_mm.push(Math.round(ring_frac * this.sim.targets[target_index].radius * 1000));
+  }
+
+  summary() {
+    const offsets = this.offsets_mm;
+    const mean = offsets.length ? offsets.reduce((sum, mm) => sum + mm, 0) / offsets.length : null;
+    return { mean_offset_mm: mean === null ? null : Math.round(mean), hits: offsets.length };
+  }
+}
+
+export const GAME_MODES = Object.fromEntries(
+  [Game_Mode, Blitz_Mode, Survival_Mode, Precision_Mode].map(mode => [mode.id, mode]));
+export const DEFAULT_MODE = Game_Mode.id;
@@ -0,0 +1,235 @@
+// bullseye-net.js - Head-to-head Bullseye Range between two browsers, through relay.py.
+//
+// Each player runs the whole match in their own Range_Simulation.  The host -- whoever reached the relay room
+// first -- picks the seed, course and mode and starts both simulations together.  The host's match clock is the
+// one that counts: the guest's clock runs a little fast or slow until it agrees, so targets, which move with match
+// time, stand in the same place on both screens.
+//
+// A player's own simulation is the only one that scores their arrows.  Every shot is sent across and flown in the
+// other simulation too (remote_shot), then pinned where it really stuck (remote_hit), and scores follow as status
+// messages.  The host's weather is the match's weather.  Remote events reach the simulation through input(), like
+// the player's own.
+//
+// Messages between the two players, as JSON objects with a `type`:
+//
+//     start { seed, level, mode }     host -> guest: a new match; both reset
+//     rematch                         guest -> host: please start a new match
+//     clock { time }                  host -> guest: the host's match time
+//     ping { sent }, pong { sent }    guest <-> host: measures the trip, so clock messages can be aged
+//     shot { shot }, hit { hit }      an arrow shot, and where it stuck
+//     status { status }               the sender's score, streak and shots
+//     weather { weather }             host -> guest: the weather type
+//     round_end { summary }           the sender's round is over
+
+export const RELAY_PORT = 8001;
+const CLOCK_INTERVAL = 0.5;           // seconds of match time between the host's clock messages
+const PING_INTERVAL = 2;              // and between the guest's pings
+const MAX_CLOCK_RATE_CHANGE = 0.25;   // the guest's clock runs at most this much fast or slow while catching up
+
+// The address of a room on the relay serving this page's host.
+export function relay_url(room, hostname = globalThis.location && globalThis.location.hostname || 'localhost') {
+  return `ws://${hostname || 'localhost'}:${RELAY_PORT}/${encodeURIComponent(room)}`;
+}
+
+const now = () => globalThis.performance ? performance.now() : Date.now();
+const to_array = v => Array.from(v);
+
+export class Net_Match {
+  // on_change() is called whenever the connection, the match or the other player's score changes.
+  constructor(sim, url, { on_change = () => {}, socket = new WebSocket(url) } = {}) {
+    this.sim = sim;
+    this.on_change = on_change;
+    this.state = 'connecting';      // then 'waiting' for a second player, 'playing', or 'closed'
+    this.error = null;
+    this.seat = null;               // 0 hosts
+    this.remote = null;             // the other player's { score, streak, shots_taken, summary }
+    this.clock_error = 0;           // seconds the guest's match clock is behind the host's
+    this.latency = 0;               // one-way, in seconds
+    this.next_clock = 0;
+
+    this.sim_handlers = {
+      shot: e => this.send_shot(e),
+      target_hit: e => this.send_hit(e),
+      miss: () => this.send_status(),
+      cow_hit: () => this.send_status(),
+      weather_change: ({ type }) => { if (this.is_host) this.send({ type: 'weather', weather: type }); },
+      round_end: summary => this.send({ type: 'round_end', summary }),
+      step: () => this.keep_time(),
+    };
+    for (const [name, handler] of Object.entries(this.sim_handlers)) sim.on(name, handler);
+
+    this.socket = socket;
+    socket.addEventListener('message', e => this.receive(JSON.parse(e.data)));
+    socket.addEventListener('close', () => this.closed());
+    socket.addEventListener('error', () => {
+      this.error = this.error || 'Could not reach the relay. Is relay.py running?';
+    });
+  }
+
+  get is_host() {
+    return this.seat === 0;
+  }
+
+  get playing() {
+    return this.state === 'playing';
+  }
+
+  get remote_seat() {
+    return 1 - this.seat;
+  }
+
+  send(message) {
+    if (this.socket.readyState === 1) this.socket.send(JSON.stringify(message));
+  }
+
+  receive(message) {
+    switch (message.type) {
+      case 'welcome':
+        this.seat = message.seat;
+        this.state = 'waiting';
+        break;
+      case 'peer_joined':
+        if (this.is_host) this.start_match();
+        break;
+      case 'peer_left':                 // the relay moves whoever stays into the host's seat
+        this.seat = 0;
+        this.state = 'waiting';
+        this.remote = null;
+        break;
+      case 'room_full':
+        this.error = 'That room already has two players.';
+        break;
+      case 'start':
+        this.begin(message);
+        break;
+      case 'rematch':
+        if (this.is_host) this.start_match();
+        break;
+      case 'clock':
+        this.clock_error = message.time + this.latency - this.sim.time;
+        break;
+      case 'ping':
+        this.send({ type: 'pong', sent: message.sent });
+        break;
+      case 'pong':
+        this.latency = (now() - message.sent) / 2000;
+        break;
+      case 'weather':
+        if (this.playing) this.sim.input('set_weather', [message.weather]);
+        break;
+      case 'shot':
+        if (this.playing) this.sim.input('remote_shot', [{ ...message.shot, player: this.remote_seat }]);
+        break;
+      case 'hit':
+        if (this.playing) this.sim.input('remote_hit', [{ ...message.hit, player: this.remote_seat }]);
+        break;
+      case 'status':
+        if (this.remote) Object.assign(this.remote, message.status);
+        break;
+      case 'round_end':
+        if (this.remote) this.remote.summary = message.summary;
+        break;
+      default:
+        console.warn('Ignoring unknown match message', message);
+        return;
+    }
+    this.on_change();
+  }
+
+  closed() {
+    for (const [name, handler] of Object.entries(this.sim_handlers)) this.sim.off(name, handler);
+    this.state = 'closed';
+    this.remote = null;
+    this.on_change();
+  }
+
+  leave() {
+    this.socket.close();
+  }
+
+  /* ---------- Starting Matches ---------- */
+
+  start_match() {
+    const seed = (Math.random() * 2 ** 32) >>> 0;
+    const message = { type: 'start', seed, level: this.sim.level, mode: this.sim.mode_id };
+    this.begin(message);
+    this.send(message);
+  }
+
+  // Both ends start from the same seed, course and mode, one player each.
+  begin({ seed, level, mode }) {
+    const sim = this.sim;
+    sim.seed = seed;
+    sim.set_mode(mode, false);
+    sim.set_players(1, false);
+    sim.load_level(level);
+    if (!this.is_host && sim.auto_weather) sim.input('auto_weather');
+
+    this.remote = { score: 0, streak: 0, shots_taken: 0, summary: null };
+    this.clock_error = 0;
+    this.next_clock = 0;
+    this.state = 'playing';
+  }
+
+  // What resetting the game does while connected: a fresh match for both players.  Returns false when there is
+  // nobody to play, so the caller can just reset.
+  restart() {
+    if (!this.playing) return false;
+    if (this.is_host) this.start_match();
+    else this.send({ type: 'rematch' });
+    return true;
+  }
+
+  /* ---------- Keeping in Step ---------- */
+
+  keep_time() {
+    if (!this.playing || this.sim.time < this.next_clock) return;
+    if (this.is_host) {
+      this.send({ type: 'clock', time: this.sim.time });
+      this.next_clock = this.sim.time + CLOCK_INTERVAL;
+    } else {
+      this.send({ type: 'ping', sent: now() });
+      this.next_clock = this.sim.time + PING_INTERVAL;
+    }
+  }
+
+  // Extra seconds for the guest's clock to take this frame, on top of the frame's own `dt`.
+  clock_nudge(dt) {
+    if (!this.playing || this.is_host) return 0;
+    const limit = MAX_CLOCK_RATE_CHANGE * dt;
+    const nudge = Math.max(-limit, Math.min(limit, this.clock_error));
+    this.clock_error -= nudge;
+    return nudge;
+  }
+
+  send_shot({ arrow, time, build_index }) {
+    if (!this.playing) return;
+    this.send({
+      type: 'shot',
+      shot: {
+        id: arrow.id, time, build: build_index,
+        start: to_array(arrow.pos), velocity: to_array(arrow.vel), dir: to_array(arrow.dir),
+      },
+    });
+    this.send_status();
+  }
+
+  send_hit({ arrow, target_index, local_point, impulse, broke }) {
+    if (!this.playing) return;
+    const hit = { id: arrow.id, target_index, point: to_array(local_point), dir: to_array(arrow.get_direction()) };
+    if (broke) hit.broke = true;
+    else {
+      Object.assign(hit, {
+        offset: to_array(arrow.stuck_offset), local_dir: to_array(arrow.stuck_local_dir), impulse: to_array(impulse),
+      });
+    }
+    this.send({ type: 'hit', hit });
+    this.send_status();
+  }
+
+  send_status() {
+    if (!this.playing) return;
+    const { score, streak, shots_taken } = this.sim;
+    this.send({ type: 'status', status: { score, streak, shots_taken } });
+  }
+}
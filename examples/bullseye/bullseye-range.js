@@ -1,111 +1,84 @@
 import { tiny, defs } from '../common.js';
+import {
+  ARROW_SPEED_PRESETS, ARM_CONFIG, GAME_CONFIG, MAX_PLAYERS, LANE_FENCE, FLAG_POLES, WIND_SOCK_POLE, STAND_RADIUS,
+  Range_Simulation, Frame_Clock,
+} from './bullseye-simulation.js';
+import { Replay_Recorder, Replay_Player } from './bullseye-replay.js';
+import { fetch_level_index, fetch_level } from './bullseye-levels.js';
+import { Leaderboard, leaderboard_key, MAX_NAME_LENGTH } from './bullseye-leaderboard.js';
+import { GAME_MODES, END_REASONS } from './bullseye-modes.js';
+import { Net_Match, relay_url } from './bullseye-net.js';
+import { Range_Audio, DEFAULT_VOLUMES } from './bullseye-audio.js';
+import { Range_Camera, FIELD_OF_VIEW } from './bullseye-camera.js';
+import { BOWS } from './bullseye-bows.js';
+import { target_group, describe_bias } from './bullseye-groups.js';
 
 const {
-  vec3, vec4, color, Mat4, Matrix, Shader, Texture, Component,
+  vec3, vec4, color, Mat4, Matrix, Shader, Texture, Component, Gamepad_Manager, Binding_Editor,
 } = tiny;
 
-const { Square, Subdivision_Sphere, Capped_Cylinder, Closed_Cone, Torus, Phong_Shader } = defs;
+const { Square, Subdivision_Sphere, Capped_Cylinder, Closed_Cone, Torus, Phong_Shader, Particle_Renderer } = defs;
 
-/* =========================
-   Tunable Constants
-========================= */
-const GAME_CONFIG = {
-  maxShots: 20,
-  gravity: -15.0,
-  baseArrowSpeed: 60,
-  aimSensitivity: 0.01,
-  maxDrawStrength: 1.0,
-  drawChargeRate: 1.2,
-  playerHeight: 2.0,
-  arrowSpawnForward: 1.0,
-  dtClamp: 1 / 30,
-  aimAssistDistance: 70,       // makes off-center arrow pass through the crosshair region
+// How the scene looks in each kind of weather, by material name.  While the weather changes, the scene is drawn
+// with a mix of these weighted by WeatherSystem.weights; sun and snow are how much of each to show.
+const WEATHER_LOOKS = {
+  clear: { sky: 'sky',      cloud: 'cloud',       mountain: ['mountain_clear', 'mountain_dark', 'mountain_light'], sun: 1, snow: 0 },
+  wind:  { sky: 'sky',      cloud: 'cloud',       mountain: ['mountain_clear', 'mountain_dark', 'mountain_light'], sun: 1, snow: 0 },
+  rain:  { sky: 'sky_dark', cloud: 'cloud_storm', mountain: ['mountain_rain',  'mountain_rain', 'mountain'],       sun: 0, snow: 1 },
+  snow:  { sky: 'sky_dark', cloud: 'cloud_dark',  mountain: ['mountain_snowy', 'mountain',      'mountain_light'], sun: 0, snow: 1 },
 };
 
-const ARROW_SPEED_PRESETS = [
-  60,
-  60 * 3,
-  60 * 5
-];
-
-const TARGET_SCORING = [
-  { frac: 0.2, points: 10 },
-  { frac: 0.4, points: 8 },
-  { frac: 0.6, points: 6 },
-  { frac: 0.8, points: 4 },
-  { frac: 1.0, points: 2 },
-];
-
-const WEATHER_PRESETS = {
-  clear: {
-    spawnPerFrame: 0,
-    windStrength: 0,
-    windAngle: 0,
-    particle: null,
-  },
-  wind: {
-    spawnPerFrame: 2,
-    windStrength: 6.0,
-    windAngle: Math.PI * 0.7,
-    particle: {
-      life: [3, 5],
-      speedX: [15, 20],
-      speedY: [-2, -1],
-      color: color(0.8, 0.8, 0.7, 0.3),
-      scale: vec3(0.1, 0.1, 0.1),
-    },
-  },
-  rain: {
-    spawnPerFrame: 10,
-    windStrength: 2.0,
-    windAngle: Math.PI * 0.3,
-    particle: {
-      life: [1.0, 1.5],
-      speedX: [-1, 1],
-      speedY: [-40, -30],
-      color: color(0.6, 0.7, 0.9, 0.6),
-      scale: vec3(0.05, 0.6, 0.05),
-    },
-  },
-  snow: {
-    spawnPerFrame: 5,
-    windStrength: 1.0,
-    windAngle: Math.PI * 0.85,
-    particle: {
-      life: [5, 7],
-      speedX: [-1, 1],
-      speedY: [-6, -4],
-      color: color(0.9, 0.9, 1.0, 0.8),
-      scale: vec3(0.12, 0.12, 0.12),
-    },
-  },
+// Mouse look, once the canvas has captured the pointer.  sensitivity is radians of aim per pixel of mouse travel.
+const MOUSE_AIM_STORAGE_KEY = 'bullseye-range.mouse-aim';
+const DEFAULT_MOUSE_AIM = { sensitivity: 0.0025, invert_y: false };
+const MOUSE_SENSITIVITY_LIMITS = [0.0005, 0.01];
+
+// The master and effects volumes, each from 0 to 1, as the sliders left them.
+const VOLUME_STORAGE_KEY = 'bullseye-range.volume';
+
+// Gamepad: either stick aims, turning at up to GAMEPAD_AIM_RATE radians per second, and the right trigger draws
+// the bow as far as it is squeezed.  Below GAMEPAD_TRIGGER_THRESHOLD the trigger counts as let go, which shoots.
+const GAMEPAD_AIM_RATE = 1.4;
+const GAMEPAD_TRIGGER_THRESHOLD = 0.1;
+
+// Touch: the virtual joystick's reach (CSS pixels) and turn rate at full push, and how long a swipe (CSS pixels)
+// draws the bow all the way.
+const TOUCH_STICK_RADIUS = 60;
+const TOUCH_AIM_RATE = 1.2;
+const TOUCH_FULL_DRAW_DISTANCE = 180;
+
+// Out-of-the-box mouse and gamepad bindings for the on-screen controls, on top of their keys.  Players can change
+// all of them from the "Controls" panel; their changes are kept under BINDINGS_STORAGE_KEY.
+const BINDINGS_STORAGE_KEY = 'bullseye-range.bindings';
+const DEFAULT_EXTRA_BINDINGS = {
+  'Draw / Release': ['mouse:0', Gamepad_Manager.binding(Gamepad_Manager.buttons.A)],
+  'Aim Left': [Gamepad_Manager.binding(Gamepad_Manager.buttons.dpad_left)],
+  'Aim Right': [Gamepad_Manager.binding(Gamepad_Manager.buttons.dpad_right)],
+  'Aim Up': [Gamepad_Manager.binding(Gamepad_Manager.buttons.dpad_up)],
+  'Aim Down': [Gamepad_Manager.binding(Gamepad_Manager.buttons.dpad_down)],
+  'Cycle Weather': [Gamepad_Manager.binding(Gamepad_Manager.buttons.Y)],
+  'Cycle Arrow Speed': [Gamepad_Manager.binding(Gamepad_Manager.buttons.X)],
+  'Cycle Arrow Type': [Gamepad_Manager.binding(Gamepad_Manager.buttons.B)],
+  'Reset Game': [Gamepad_Manager.binding(Gamepad_Manager.buttons.back)],
+  'Cycle Camera': [Gamepad_Manager.binding(Gamepad_Manager.buttons.right_bumper)],
+  'Cycle Bow': [Gamepad_Manager.binding(Gamepad_Manager.buttons.left_bumper)],
+  'Hold Breath': ['mouse:2', Gamepad_Manager.binding(Gamepad_Manager.buttons.left_trigger)],
 };
 
-const ARM_CONFIG = {
-  upperArmLen: 0.62,
-  foreArmLen: 0.56,
-
-  upperArmRadius: 0.11,
-  foreArmRadius: 0.10,
-  handRadius: 0.05,
-
-  // push shoulders much farther off screen
-  leftShoulderOffset: vec3(-1.05, -0.78, 1.5),
-  rightShoulderOffset: vec3( 1.12, -0.82, 1.6),
-
-  // keep bow centered in view
-  bowGripOffset: vec3(.25, -.1, 0.0),
-  bowForward: 1.55,
-
-  idleNockDistance: 0.10,
-  maxPullDistance: 0.82,
-
-  bowHalfHeight: 0.95,
-};
+// Hot-seat players, in turn order: the material of their arrows' cock vane and their color on the scoreboard.
+const PLAYER_COLORS = [
+  { material: 'target_red',  css: '#f44' },
+  { material: 'target_blue', css: '#4af' },
+  { material: 'target_gold', css: '#fd2' },
+  { material: 'vane_green',  css: '#4f4' },
+];
+const TURN_BANNER_TIME = 2.5;        // seconds the "your turn" banner stays up
+const SHARD_LIFE = 1.5;              // seconds a broken clay target's pieces last
+const RING_STEP = 0.045;             // how far each of a target's five rings stands in front of the one behind it
 
-function randRange(min, max) {
-  return min + Math.random() * (max - min);
-}
+// Bows with a sight have a pin for each of these distances (metres), set for full draw in still air.
+const SIGHT_PIN_DISTANCES = [20, 40, 60];
+const SCOPE_RADIUS = 70;             // CSS pixels
 
 class ArmNode {
   constructor(name, shape, transform, material) {
@@ -361,154 +334,13 @@ class Bow_Arm_Rig {
   }
 }
 
-/* =========================
-   Weather System
-========================= */
-class WeatherSystem {
-  constructor() {
-    this.particles = [];
-    this.max_particles = 400;
-    this.weather_types = ['clear', 'wind', 'rain', 'snow'];
-    this.current_index = 0;
-    this.square = new Square();
-  }
-
-  get type() {
-    return this.weather_types[this.current_index];
-  }
-
-  get preset() {
-    return WEATHER_PRESETS[this.type];
-  }
-
-  cycle_type() {
-    this.current_index = (this.current_index + 1) % this.weather_types.length;
-    if (this.type === 'clear') this.particles.length = 0;
-  }
-
-  spawn_particle() {
-    const preset = this.preset;
-    if (!preset.particle || this.particles.length >= this.max_particles) return;
-
-    const p = preset.particle;
-    const base_pos = vec3(
-      randRange(-35, 35),
-      randRange(14, 24),
-      randRange(-100, -15)
-    );
-
-    const velocity = vec3(
-      randRange(p.speedX[0], p.speedX[1]),
-      randRange(p.speedY[0], p.speedY[1]),
-      0
-    );
-
-    this.particles.push({
-      pos: base_pos,
-      vel: velocity,
-      life: randRange(p.life[0], p.life[1]),
-      age: 0,
-      color: p.color,
-      scale: p.scale,
-    });
-  }
-
-  update(dt) {
-    const count = this.preset.spawnPerFrame;
-    for (let i = 0; i < count; i++) this.spawn_particle();
-
-    const remaining = [];
-    for (const p of this.particles) {
-      p.age += dt;
-      if (p.age > p.life) continue;
-
-      p.pos = p.pos.plus(p.vel.times(dt));
-      if (p.pos[1] < -5) continue;
-
-      remaining.push(p);
-    }
-    this.particles = remaining;
-  }
-
-  draw(caller, uniforms, material) {
-    if (this.type === 'clear') return;
-
-    for (const p of this.particles) {
-      const transform = Mat4.translation(...p.pos).times(Mat4.scale(...p.scale));
-      this.square.draw(caller, uniforms, transform, { ...material, color: p.color });
-    }
-  }
-}
-
-/* =========================
-   Moving Target (Lissajous)
-========================= */
-class Target {
-  constructor(center, radius, depth, amp_x, amp_y, freq_x, freq_y) {
-    this.base_center = center;
-    this.radius = radius;
-    this.depth = depth;
-    this.amp_x = amp_x;
-    this.amp_y = amp_y;
-    this.freq_x = freq_x;
-    this.freq_y = freq_y;
-    this.time = 0;
-  }
-
-  update(dt) {
-    this.time += dt;
-  }
-
-  get_center() {
-    return vec3(
-      this.base_center[0] + this.amp_x * Math.sin(this.time * this.freq_x),
-      this.base_center[1] + this.amp_y * Math.sin(this.time * this.freq_y),
-      this.base_center[2]
-    );
-  }
-}
-
-/* =========================
-   Arrow Projectile
-========================= */
-class Arrow {
-  constructor(position, velocity) {
-    this.pos = position;
-    this.prev_pos = position;
-    this.vel = velocity;
-    this.alive = true;
-    this.stuck = false;
-    this.stuck_dir = null;
-    this.stuck_target_index = null;
-    this.stuck_offset = null;
-  }
-
-  update(dt, gravity, wind_accel) {
-    if (!this.alive || this.stuck) return;
-
-    this.prev_pos = this.pos;
-
-    const accel = vec3(wind_accel[0], gravity + wind_accel[1], wind_accel[2]);
-    this.vel = this.vel.plus(accel.times(dt));
-    this.pos = this.pos.plus(this.vel.times(dt));
-
-    if (this.pos[1] < -2) this.alive = false;
-  }
-
-  get_direction() {
-    if (this.stuck && this.stuck_dir) return this.stuck_dir;   // add this
-    if (this.vel.norm() < 1e-5) return vec3(0, 0, -1);
-    return this.vel.normalized();
-  }
-}
-
 /* =========================
    Main Scene
 ========================= */
 export class Bullseye_Range extends Component {
   init() {
     console.log("init"); 
-    this.widget_options = { make_controls: true };
+    this.widget_options = { make_controls: true, responsive_canvas: true };
 
     this.shapes = {
       ground: new Square(),
@@ -521,6 +353,7 @@ export class Bullseye_Range extends Component {
       sphere: new Subdivision_Sphere(4),
       cone: new Closed_Cone(10, 20),
     };
+    this.weather_particles = new Particle_Renderer(GAME_CONFIG.maxWeatherParticles);
 
     const phong = new Phong_Shader(1);
     this.materials = {
@@ -536,6 +369,7 @@ export class Bullseye_Range extends Component {
       particles:    { shader: phong, color: color(1, 1, 1, 0.7), ambient: 1.0, diffusivity: 0.0 },
       dot:          { shader: phong, color: color(1, 0.1, 0.1, 0.7), ambient: 1.0, diffusivity: 0.0 },
       sky:          { shader: phong, color: color(0.53, 0.77, 0.96, 1), ambient: 1.0, diffusivity: 0.0 },
+      sky_dark:     { shader: phong, color: color(0.20, 0.20, 0.20, 1), ambient: 0.65, diffusivity: 0.0 },
       leaves:       { shader: phong, color: color(0.10, 0.42, 0.16, 1), ambient: 0.42, diffusivity: 0.85 },
       hill:         { shader: phong, color: color(0.19, 0.34, 0.14, 1), ambient: 0.32, diffusivity: 0.92 },
       hill_far:     { shader: phong, color: color(0.23, 0.40, 0.20, 1), ambient: 0.36, diffusivity: 0.88 },
@@ -568,9 +402,47 @@ export class Bullseye_Range extends Component {
       cow_pink:     { shader: phong, color: color(0.88, 0.60, 0.60, 1), ambient: 0.50, diffusivity: 0.75 },
       cow_hoof:     { shader: phong, color: color(0.18, 0.14, 0.10, 1), ambient: 0.28, diffusivity: 0.80 },
       cow_horn:     { shader: phong, color: color(0.78, 0.70, 0.48, 1), ambient: 0.38, diffusivity: 0.78 },
+
+      // wind indicators
+      flag:         { shader: phong, color: color(0.95, 0.45, 0.08, 1), ambient: 0.55, diffusivity: 0.8 },
+      pole:         { shader: phong, color: color(0.75, 0.75, 0.78, 1), ambient: 0.45, diffusivity: 0.8 },
+
+      // the fourth hot-seat player's vanes; the others use target colors
+      vane_green:   { shader: phong, color: color(0.20, 0.70, 0.25, 1), ambient: 0.52, diffusivity: 0.82 },
+
+      // breakable targets and their pieces
+      clay:         { shader: phong, color: color(0.90, 0.45, 0.18, 1), ambient: 0.50, diffusivity: 0.80 },
+      rope:         { shader: phong, color: color(0.62, 0.52, 0.34, 1), ambient: 0.40, diffusivity: 0.85 },
     };
 
-    this.reset_game();
+    this.clock = new Frame_Clock();
+    this.sim = new Range_Simulation({ seed: (Math.random() * 2 ** 32) >>> 0, clock: this.clock });
+    this.sim.on('target_hit', hit => { if (hit.points >= 6) this.trigger_scoreboard_flash(); });
+    this.sim.on('cow_hit', () => this.trigger_penalty_flash());
+    this.sim.on('round_end', summary => this.show_results(summary));
+    this.sim.on('reset', () => {
+      this.hide_results();
+      this.shards = [];
+      this.turn_started = { player: 0, time: 0 };
+    });
+    this.sim.on('turn_change', ({ player }) => this.turn_started = { player, time: this.sim.time });
+    this.sim.on('target_break', e => this.shatter(e));
+    this.turn_started = { player: 0, time: 0 };
+    this.shards = [];               // pieces of broken clay targets; only for show, so not in the simulation
+
+    this.audio = new Range_Audio(this.sim);
+    this.camera = new Range_Camera(this.sim);
+    for (const [which, value] of Object.entries(this.load_volumes())) this.audio.set_volume(which, value);
+
+    this.leaderboard = new Leaderboard();
+    this.results = null;
+
+    this.recorder = new Replay_Recorder(this.sim);
+    this.replay_player = null;
+    this.last_recording = null;
+
+    this.net = null;                // a Net_Match while playing online
+    this.net_error = null;
 
     this.scoreboard_el = document.createElement('div');
     Object.assign(this.scoreboard_el.style, {
@@ -628,6 +500,27 @@ export class Bullseye_Range extends Component {
     `;
     document.body.appendChild(this.crosshair_el);
 
+    // The bow's sight, rebuilt by update_sight() whenever what its pins are set for changes.
+    this.sight_el = document.createElement('div');
+    Object.assign(this.sight_el.style, {
+      position: 'absolute', left: '50%', top: '50%', width: '0', height: '0', pointerEvents: 'none', zIndex: '999',
+    });
+    document.body.appendChild(this.sight_el);
+    this.sight_key = null;
+    this.sight_pins = [];
+
+    // How much breath is left to hold, as a bar under the crosshair.
+    this.breath_el = document.createElement('div');
+    Object.assign(this.breath_el.style, {
+      position: 'absolute', left: '50%', top: 'calc(50% + 36px)', width: '80px', height: '6px',
+      transform: 'translateX(-50%)', backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      border: '1px solid rgba(255, 255, 255, 0.6)',
+      borderRadius: '3px', overflow: 'hidden', pointerEvents: 'none', zIndex: '1000', display: 'none',
+    });
+    this.breath_fill_el = this.breath_el.appendChild(document.createElement('div'));
+    Object.assign(this.breath_fill_el.style, { height: '100%' });
+    document.body.appendChild(this.breath_el);
+
     const style = document.createElement('style');
     style.innerHTML = `
       @keyframes bullseye-flash {
@@ -655,113 +548,856 @@ export class Bullseye_Range extends Component {
       glove: this.materials.glove
     });
 
-    this.held_keys = {};
-    document.addEventListener('keydown', e => {
-      // Prevent the browser from scrolling the page with arrow keys or space,
-      if ([' ', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+    // Which aim controls are held; render_animation() turns the aim a step each frame while they are.
+    this.aim_held = { left: false, right: false, up: false, down: false };
+    this.key_controls.use_storage(BINDINGS_STORAGE_KEY);
+    this.bindings_panel = null;
+    this.inspection = null;       // { key, group, panel } while the camera is inspecting a target
+
+    this.mouse_aim = this.load_mouse_aim();
+    this.mouse_delta = [0, 0];
+    this.mouse_buttons = new Set();
+    this.mouse_canvas = null;     // hooked up by the first render_animation(), which is the first to see the canvas
+
+    this.gamepad = new Gamepad_Manager(this.key_controls);
+    this.trigger_pressure = 0;
+    this.analog_draw = null;      // which analog device ('trigger' or 'touch') is drawing the bow, if any
+  }
+
+  reset_game() {
+    if (this.net && this.net.restart()) return;
+    this.send_input('reset');
+  }
+
+  /* ---------- Input & Replays ---------- */
+
+  // All live input goes through here; it is ignored while a replay is driving the simulation.
+  send_input(action, ...args) {
+    if (this.replay_player) return false;
+    if (action === 'aim' || action === 'draw') this.camera.cancel();
+    if (this.net && this.net.playing && !this.net.is_host && (action === 'cycle_weather' || action === 'auto_weather'))
+      return false;             // online, the host's weather is the match's
+    return this.sim.input(action, args);
+  }
+
+  /* ---------- Sound ---------- */
+
+  // The browser won't play sound until the player has pressed or clicked something, so the first input starts it.
+  attach_audio(canvas) {
+    const start = () => this.audio.start();
+    canvas.addEventListener('pointerdown', start);
+    document.addEventListener('keydown', start);
+  }
+
+  load_volumes() {
+    try {
+      return { ...DEFAULT_VOLUMES, ...JSON.parse(localStorage.getItem(VOLUME_STORAGE_KEY)) };
+    } catch (error) {
+      console.warn('Ignoring unreadable volume settings', error);
+      return { ...DEFAULT_VOLUMES };
+    }
+  }
+
+  save_volumes() {
+    try {
+      localStorage.setItem(VOLUME_STORAGE_KEY, JSON.stringify(this.audio.volumes));
+    } catch (error) {
+      console.warn('Could not save volume settings', error);
+    }
+  }
+
+  // A labelled slider for each of the master and effects volumes.
+  add_volume_controls() {
+    for (const [which, label] of [['master', 'Volume'], ['effects', 'Effects']]) {
+      const name = this.control_panel.appendChild(document.createElement('label'));
+      name.textContent = label;
+      name.style = 'margin: 4px 4px 4px 0';
+      const slider = name.appendChild(document.createElement('input'));
+      Object.assign(slider, { type: 'range', min: 0, max: 1, step: 0.05, value: this.audio.volumes[which] });
+      slider.style = 'margin: 4px 8px 4px 4px; vertical-align: middle';
+      slider.addEventListener('input', () => {
+        this.audio.start();
+        this.audio.set_volume(which, Number(slider.value));
+      });
+      slider.addEventListener('change', () => {
+        this.save_volumes();
+        slider.blur();
+      });
+    }
+  }
+
+  /* ---------- Mouse Aim ---------- */
+
+  // Clicking the canvas captures the mouse: moving it aims, and its buttons work whatever controls they are bound
+  // to (out of the box, holding the left button draws and letting go looses).  Escape hands the mouse back.  The
+  // keyboard works the same whether or not the mouse is captured, so a browser without pointer lock (or a refused
+  // request) just leaves the keyboard.
+  attach_mouse_aim(canvas) {
+    this.mouse_canvas = canvas;
+    if (!canvas.requestPointerLock) return;
+    const locked = () => document.pointerLockElement === canvas;
+
+    canvas.addEventListener('click', () => {
+      if (!locked() && !this.results) canvas.requestPointerLock();
+    });
+    document.addEventListener('pointerlockerror', () =>
+      console.warn('The browser refused to capture the mouse; aim with the arrow keys instead.'));
+    // Losing the mouse lets go of its buttons, so a draw in progress looses the arrow.
+    document.addEventListener('pointerlockchange', () => {
+      if (locked()) return;
+      for (const button of this.mouse_buttons) this.key_controls.release_binding(`mouse:${button}`);
+      this.mouse_buttons.clear();
+    });
+
+    document.addEventListener('mousemove', e => {
+      if (!locked()) return;
+      this.mouse_delta[0] += e.movementX;
+      this.mouse_delta[1] += e.movementY;
+    });
+    // The click that captures the mouse arrives before the lock, so it doesn't count as a press.
+    canvas.addEventListener('mousedown', e => {
+      if (!locked()) return;
+      this.mouse_buttons.add(e.button);
+      this.key_controls.press_binding(`mouse:${e.button}`, e);
+    });
+    document.addEventListener('mouseup', e => {
+      if (!this.mouse_buttons.delete(e.button)) return;
+      this.key_controls.release_binding(`mouse:${e.button}`, e);
+    });
+  }
+
+  // Movement piles up between frames and goes to the simulation as one aim input, so recordings get at most one
+  // mouse entry per frame however fast the mouse reports.
+  apply_mouse_aim() {
+    const [dx, dy] = this.mouse_delta;
+    if (!dx && !dy) return;
+    this.mouse_delta = [0, 0];
+    const { sensitivity, invert_y } = this.mouse_aim;
+    this.send_input('aim', -dx * sensitivity, (invert_y ? dy : -dy) * sensitivity);
+  }
+
+  /* ---------- Gamepad ---------- */
+
+  // Buttons are handled by the Gamepad_Manager pressing the on-screen controls; the sticks and trigger are read here.
+  apply_gamepad() {
+    const pad = this.gamepad;
+    pad.poll();
+
+    const dt = this.uniforms.animation_delta_time / 1000;
+    const x = pad.sticks.left[0] + pad.sticks.right[0];
+    const y = pad.sticks.left[1] + pad.sticks.right[1];
+    if (x || y) this.send_input('aim', -x * GAMEPAD_AIM_RATE * dt, -y * GAMEPAD_AIM_RATE * dt);
+
+    const pressure = pad.triggers.right;
+    if (pressure <= GAMEPAD_TRIGGER_THRESHOLD) this.end_analog_draw('trigger');
+    else if (pressure !== this.trigger_pressure)
+      this.hold_analog_draw('trigger', (pressure - GAMEPAD_TRIGGER_THRESHOLD) / (1 - GAMEPAD_TRIGGER_THRESHOLD));
+    this.trigger_pressure = pressure;
+  }
+
+  // Analog draws (the gamepad trigger, a touch swipe) set how far the bow may come back, and the simulation eases
+  // the draw toward that.  `source` owns the draw until it ends, so two devices can't fight over one arrow.
+  hold_analog_draw(source, fraction) {
+    if (this.analog_draw && this.analog_draw !== source) return;
+    this.send_input('draw_limit', fraction);
+    if (this.analog_draw) return;
+    this.analog_draw = source;
+    this.send_input('draw');
+  }
+
+  end_analog_draw(source) {
+    if (this.analog_draw !== source) return;
+    this.analog_draw = null;
+    this.send_input('release');
+    this.send_input('draw_limit', 1);     // so keyboard and mouse draws go all the way again
+  }
+
+  /* ---------- Touch ---------- */
+
+  // On a touch screen the left half of the view is a virtual joystick: put a thumb down anywhere there and push it
+  // away from where it landed to turn.  On the right half, touch and pull back to draw -- the farther the swipe,
+  // the stronger the draw -- and lift to shoot.
+  attach_touch_controls(canvas) {
+    canvas.style.touchAction = 'none';     // no scrolling or pinch-zoom while playing
+
+    const stick = document.createElement('div');
+    const knob = stick.appendChild(document.createElement('div'));
+    Object.assign(stick.style, {
+      position: 'fixed', display: 'none', width: `${2 * TOUCH_STICK_RADIUS}px`, height: `${2 * TOUCH_STICK_RADIUS}px`,
+      margin: `${-TOUCH_STICK_RADIUS}px 0 0 ${-TOUCH_STICK_RADIUS}px`, borderRadius: '50%', pointerEvents: 'none',
+      border: '2px solid rgba(0, 255, 0, 0.6)', backgroundColor: 'rgba(5, 15, 5, 0.35)', zIndex: '15',
+    });
+    Object.assign(knob.style, {
+      position: 'absolute', left: '50%', top: '50%', width: '40px', height: '40px', margin: '-20px 0 0 -20px',
+      borderRadius: '50%', backgroundColor: 'rgba(0, 255, 0, 0.6)',
+    });
+    document.body.appendChild(stick);
+    this.touch_stick = { element: stick, knob, id: null, origin: [0, 0], offset: [0, 0] };
+    this.touch_draw = { id: null, origin: [0, 0] };
+
+    const on_left_half = touch => {
+      const rect = canvas.getBoundingClientRect();
+      return touch.clientX < rect.left + rect.width / 2;
+    };
+    canvas.addEventListener('touchstart', e => {
+      e.preventDefault();
+      for (const touch of e.changedTouches) {
+        if (on_left_half(touch) && this.touch_stick.id === null) {
+          Object.assign(this.touch_stick, { id: touch.identifier, origin: [touch.clientX, touch.clientY], offset: [0, 0] });
+          Object.assign(stick.style, { display: 'block', left: `${touch.clientX}px`, top: `${touch.clientY}px` });
+          knob.style.transform = '';
+        } else if (!on_left_half(touch) && this.touch_draw.id === null) {
+          Object.assign(this.touch_draw, { id: touch.identifier, origin: [touch.clientX, touch.clientY] });
+          this.hold_analog_draw('touch', 0);
+        }
+      }
+    }, { passive: false });
+
+    canvas.addEventListener('touchmove', e => {
+      e.preventDefault();
+      for (const touch of e.changedTouches) {
+        if (touch.identifier === this.touch_stick.id) {
+          const [x0, y0] = this.touch_stick.origin;
+          let dx = touch.clientX - x0, dy = touch.clientY - y0;
+          const reach = Math.hypot(dx, dy);
+          if (reach > TOUCH_STICK_RADIUS) [dx, dy] = [dx * TOUCH_STICK_RADIUS / reach, dy * TOUCH_STICK_RADIUS / reach];
+          this.touch_stick.offset = [dx / TOUCH_STICK_RADIUS, dy / TOUCH_STICK_RADIUS];
+          knob.style.transform = `translate(${dx}px, ${dy}px)`;
+        } else if (touch.identifier === this.touch_draw.id) {
+          const [x0, y0] = this.touch_draw.origin;
+          const swipe = Math.hypot(touch.clientX - x0, touch.clientY - y0);
+          this.hold_analog_draw('touch', Math.min(1, swipe / TOUCH_FULL_DRAW_DISTANCE));
+        }
+      }
+    }, { passive: false });
+
+    // A cancelled touch (say, a notification sliding in) lets go just as lifting the finger would.
+    const end = e => {
+      for (const touch of e.changedTouches) {
+        if (touch.identifier === this.touch_stick.id) {
+          Object.assign(this.touch_stick, { id: null, offset: [0, 0] });
+          stick.style.display = 'none';
+        } else if (touch.identifier === this.touch_draw.id) {
+          this.touch_draw.id = null;
+          this.end_analog_draw('touch');
+        }
+      }
+    };
+    canvas.addEventListener('touchend', end);
+    canvas.addEventListener('touchcancel', end);
+  }
+
+  // The joystick turns the aim at a rate set by how far it is pushed, shaped like a gamepad stick.
+  apply_touch_aim() {
+    if (!this.touch_stick || this.touch_stick.id === null) return;
+    const [x, y] = this.gamepad.shape_stick(...this.touch_stick.offset);
+    const dt = this.uniforms.animation_delta_time / 1000;
+    if (x || y) this.send_input('aim', -x * TOUCH_AIM_RATE * dt, -y * TOUCH_AIM_RATE * dt);
+  }
+
+  /* ---------- Control Bindings ---------- */
+
+  // An overlay listing every control with its keys, mouse and gamepad buttons, where they can be changed.
+  toggle_bindings_panel() {
+    if (this.bindings_panel) {
+      this.bindings_panel.remove();
+      this.bindings_panel = null;
+      return;
+    }
+    if (document.pointerLockElement) document.exitPointerLock();
+
+    const panel = document.createElement('div');
+    Object.assign(panel.style, {
+      position: 'absolute', top: '70px', left: '50%', transform: 'translateX(-50%)', zIndex: '20',
+      maxHeight: '70vh', overflowY: 'auto', padding: '12px 18px', fontFamily: 'monospace', color: '#0f0',
+      backgroundColor: 'rgba(5, 15, 5, 0.92)', border: '2px solid #0f0', borderRadius: '10px',
+    });
+    const title = panel.appendChild(document.createElement('div'));
+    title.textContent = 'CONTROLS  -  click a binding to remove it, + to add one  (k closes)';
+    new Binding_Editor(this.key_controls, panel);
+    document.body.appendChild(panel);
+    this.bindings_panel = panel;
+  }
+
+  load_mouse_aim() {
+    try {
+      return { ...DEFAULT_MOUSE_AIM, ...JSON.parse(localStorage.getItem(MOUSE_AIM_STORAGE_KEY)) };
+    } catch (error) {
+      console.warn('Ignoring unreadable mouse settings', error);
+      return { ...DEFAULT_MOUSE_AIM };
+    }
+  }
+
+  save_mouse_aim() {
+    try {
+      localStorage.setItem(MOUSE_AIM_STORAGE_KEY, JSON.stringify(this.mouse_aim));
+    } catch (error) {
+      console.warn('Could not save mouse settings', error);
+    }
+  }
+
+  scale_mouse_sensitivity(factor) {
+    const [low, high] = MOUSE_SENSITIVITY_LIMITS;
+    this.mouse_aim.sensitivity = Math.min(high, Math.max(low, this.mouse_aim.sensitivity * factor));
+    this.save_mouse_aim();
+  }
+
+  toggle_mouse_invert() {
+    this.mouse_aim.invert_y = !this.mouse_aim.invert_y;
+    this.save_mouse_aim();
+  }
+
+  // Recording and replays both reset the simulation, so neither is available during an online match.
+  toggle_recording() {
+    if (this.replay_player || this.net) return;
+    if (this.recorder.active) {
+      this.last_recording = this.recorder.stop();
+    } else {
+      this.recorder.start();
+    }
+  }
+
+  start_playback(recording) {
+    if (this.recorder.active) this.last_recording = this.recorder.stop();
+    if (!recording || this.net) return;
+
+    if (this.replay_player) this.replay_player.stop();
+    this.replay_player = new Replay_Player(this.sim, recording);
+    this.replay_player.start();
+    if (this.level_select) this.show_current_level();
+    if (this.mode_select) this.mode_select.value = this.sim.mode_id;
+    if (this.player_select) this.player_select.value = this.sim.player_count;
+  }
+
+  finish_playback() {
+    const player = this.replay_player;
+    this.replay_player = null;
+    player.stop();
+    if (this.mode_select) this.mode_select.value = this.sim.mode_id;
+    if (this.player_select) this.player_select.value = this.sim.player_count;
+    if (!player.matches_recording())
+      console.warn('Replay finished with a different result than was recorded', player.recording.result);
+  }
+
+  save_replay() {
+    if (this.recorder.active) this.last_recording = this.recorder.stop();
+    if (!this.last_recording) return;
+
+    const blob = new Blob([JSON.stringify(this.last_recording)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `bullseye-replay-${this.last_recording.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  load_replay() {
+    const picker = document.createElement('input');
+    picker.type = 'file';
+    picker.accept = '.json,application/json';
+    picker.addEventListener('change', () => {
+      const file = picker.files[0];
+      if (!file) return;
+      file.text()
+        .then(text => {
+          this.last_recording = Replay_Player.parse(text);
+          this.start_playback(this.last_recording);
+        })
+        .catch(error => console.error('Could not load replay:', error));
+    });
+    picker.click();
+  }
+
+  /* ---------- End of Round ---------- */
+
+  // Turns the scoreboard into the results screen.  Live rounds that make the table ask for a name first;
+  // replays just show where the score would have ranked.
+  show_results(summary) {
+    if (document.pointerLockElement) document.exitPointerLock();    // the mouse is needed for the name box
+    const key = leaderboard_key(summary);
+    const online = !!(this.net && this.net.playing);
+    const shared = online || summary.players.length > 1;     // shared matches don't go on the high score tables
+    const awaiting_name = !shared && !this.replay_player && this.leaderboard.qualifies(key, summary.score);
+    this.results = { summary, key, rank: -1, awaiting_name, online };
+    this.render_results();
+  }
+
+  hide_results() {
+    if (!this.results) return;
+    this.results = null;
+    this.scoreboard_el.style.pointerEvents = 'none';
+  }
+
+  submit_result(name) {
+    const results = this.results;
+    if (!results || !results.awaiting_name) return;
+    const { score, shots_taken } = results.summary;
+    this.leaderboard.last_name = name;
+    results.rank = this.leaderboard.submit(results.key, { name, score, shots: shots_taken });
+    results.awaiting_name = false;
+    this.render_results();
+  }
+
+  render_results() {
+    const { summary, rank, awaiting_name } = this.results;
+    const el = this.scoreboard_el;
+    const conditions = `${GAME_MODES[summary.mode].label.toUpperCase()}  |  ` +
+      `${summary.level_name.toUpperCase()}  |  SPEED ${summary.speed}  |  ` +
+      `${summary.bow === 'mixed' ? 'MIXED BOWS' : BOWS[summary.bow].label.toUpperCase()}  |  ` +
+      `${summary.weather.toUpperCase()}`;
+    el.style.pointerEvents = awaiting_name ? 'auto' : 'none';
+
+    if (this.results.online || summary.players.length > 1) {
+      el.innerHTML = `MATCH OVER  |  FINAL STANDINGS\n<span style="font-size:16px; color:#0ff">${conditions}</span>\n`;
+      this.render_standings(this.results.online ? this.online_standings(summary) : summary.players);
+      return;
+    }
+
+    const precision = summary.mean_offset_mm === undefined ? ''
+      : summary.mean_offset_mm === null ? '  |  NO HITS'
+      : `  |  MEAN OFFSET ${summary.mean_offset_mm} MM OVER ${summary.hits} HITS`;
+    el.innerHTML =
+      `${END_REASONS[summary.end_reason] || 'ROUND OVER'}  |  ` +
+      `FINAL SCORE: <span style="color:#fff">${summary.score.toString().padStart(4, '0')}</span>\n` +
+      `<span style="font-size:16px; color:#0ff">${conditions}${precision}</span>\n`;
+
+    if (awaiting_name) {
+      const form = el.appendChild(document.createElement('form'));
+      form.style = 'margin: 10px 0; font-size: 18px';
+      form.append('NEW HIGH SCORE!  NAME: ');
+      const input = form.appendChild(Object.assign(document.createElement('input'), {
+        value: this.leaderboard.last_name, maxLength: MAX_NAME_LENGTH, size: MAX_NAME_LENGTH,
+      }));
+      input.style = 'font: inherit; color: #0f0; background: #000; border: 1px solid #0f0; padding: 2px 6px';
+      form.addEventListener('submit', e => {
         e.preventDefault();
+        this.submit_result(input.value);
+      });
+      input.focus();
+      input.select();
+      return;
+    }
+
+    const table = el.appendChild(document.createElement('table'));
+    table.style = 'margin: 10px auto 0; font-size: 16px; border-spacing: 18px 2px';
+    const entries = this.leaderboard.entries(this.results.key);
+    entries.forEach((entry, i) => {
+      const row = table.insertRow();
+      if (i === rank) row.style.color = '#ff0';
+      for (const text of [`${i + 1}.`, entry.name, entry.score.toString().padStart(4, '0')])
+        row.insertCell().textContent = text;      // names are player-typed, so never innerHTML
+    });
+    if (!entries.length) table.insertRow().insertCell().textContent = 'NO SCORES YET';
+
+    el.append(Object.assign(document.createElement('div'), {
+      textContent: 'PRESS R TO PLAY AGAIN, I TO INSPECT THE TARGETS',
+      style: 'margin-top: 10px; font-size: 14px; color: #ccc',
+    }));
+  }
+
+  // The final standings of a shared match, winner first.  Players still shooting are marked `pending`.
+  render_standings(standings) {
+    const el = this.scoreboard_el;
+    const table = el.appendChild(document.createElement('table'));
+    table.style = 'margin: 10px auto 0; font-size: 18px; border-spacing: 18px 2px';
+    for (const [i, standing] of standings.entries()) {
+      const row = table.insertRow();
+      row.style.color = PLAYER_COLORS[standing.player].css;
+      const cells = [`${i + 1}.`, this.player_name(standing.player), standing.score.toString().padStart(4, '0'),
+        `${standing.shots_taken} SHOTS`];
+      if (standing.mean_offset_mm !== undefined && standing.mean_offset_mm !== null)
+        cells.push(`${standing.mean_offset_mm} MM`);
+      if (standing.pending) cells.push('STILL SHOOTING');
+      for (const text of cells) row.insertCell().textContent = text;
+    }
+
+    const [first, second] = standings;
+    const pending = standings.find(standing => standing.pending);
+    const verdict = pending ? `WAITING FOR ${this.player_name(pending.player)}.`
+      : second && second.score === first.score ? 'A TIE!' : `${this.player_name(first.player)} WINS!`;
+    el.append(Object.assign(document.createElement('div'), {
+      textContent: `${verdict}  PRESS R TO PLAY AGAIN, I TO INSPECT THE TARGETS`,
+      style: 'margin-top: 10px; font-size: 14px; color: #ccc',
+    }));
+  }
+
+  /* ---------- Sights ---------- */
+
+  // The crosshair and sight belong to the archer's own view, so they go while the camera is elsewhere.  Pins are
+  // worked out again only when the bow, arrow or speed changes, but placed every frame, since a scope's zoom and
+  // the canvas size move them.
+  update_sight(caller, field_of_view) {
+    const sim = this.sim, bow = sim.bow, el = this.sight_el;
+    this.crosshair_el.style.display = this.camera.away ? 'none' : '';
+    el.style.display = this.camera.away || !bow.sight ? 'none' : '';
+    if (el.style.display === 'none') return;
+
+    const key = `${bow.constructor.id}:${sim.arrow_speed_index}:${sim.arrow_build_index}`;
+    if (key !== this.sight_key) {
+      this.sight_key = key;
+      this.build_sight(bow.sight);
+    }
+    const height = caller.canvas.getBoundingClientRect().height;
+    const pixels_per_tan = height / 2 / Math.tan(field_of_view / 2);
+    for (const pin of this.sight_pins) pin.el.style.top = `${Math.tan(pin.angle) * pixels_per_tan}px`;
+  }
+
+  // Pins are bars to the left of center with their distance beside them; a scope rings the center, dims the view
+  // outside it, and marks its pins with dots.
+  build_sight(sight) {
+    const el = this.sight_el;
+    el.replaceChildren();
+    if (sight === 'scope') {
+      const ring = el.appendChild(document.createElement('div'));
+      Object.assign(ring.style, {
+        position: 'absolute', left: `${-SCOPE_RADIUS}px`, top: `${-SCOPE_RADIUS}px`,
+        width: `${2 * SCOPE_RADIUS}px`, height: `${2 * SCOPE_RADIUS}px`, borderRadius: '50%',
+        border: '2px solid rgba(20, 20, 20, 0.9)', boxShadow: '0 0 0 2000px rgba(0, 0, 0, 0.35)',
+      });
+    }
+
+    this.sight_pins = [];
+    for (const distance of SIGHT_PIN_DISTANCES) {
+      const angle = this.sim.sight_pin_angle(distance);
+      if (angle === null) continue;
+      const pin = el.appendChild(document.createElement('div'));
+      Object.assign(pin.style, { position: 'absolute', left: '0', height: '0' });
+      const mark = pin.appendChild(document.createElement('div'));
+      Object.assign(mark.style, sight === 'scope'
+        ? { position: 'absolute', left: '-3px', top: '-3px', width: '6px', height: '6px', borderRadius: '50%' }
+        : { position: 'absolute', left: '-26px', top: '-1px', width: '24px', height: '2px' });
+      Object.assign(mark.style, { background: '#ff0', boxShadow: '0 0 4px rgba(0, 0, 0, 0.9)' });
+      const label = pin.appendChild(Object.assign(document.createElement('div'), { textContent: distance }));
+      Object.assign(label.style, {
+        position: 'absolute', right: sight === 'scope' ? '6px' : '30px', top: '-7px', color: '#ff0',
+        font: '11px monospace', textShadow: '0 0 3px #000',
+      });
+      this.sight_pins.push({ distance, angle, el: pin });
+    }
+  }
+
+  // The breath meter shows while the bow is drawn and until the breath is all back: blue while it is being held,
+  // red while the archer is winded.
+  update_breath_meter() {
+    const sway = this.sim.sway;
+    const shown = !this.camera.away && (this.sim.is_drawing || sway.stamina < 1);
+    this.breath_el.style.display = shown ? '' : 'none';
+    if (!shown) return;
+    Object.assign(this.breath_fill_el.style, {
+      width: `${sway.stamina * 100}%`,
+      backgroundColor: sway.winded ? '#f44' : sway.holding ? '#4cf' : '#fff',
+    });
+  }
+
+  /* ---------- Inspecting Targets ---------- */
+
+  // Each press walks up to the next target, and after the last, back to the shooting line.
+  inspect_next_target() {
+    const current = this.camera.inspecting;
+    const next = current === null ? 0 : current + 1;
+    if (next < this.sim.targets.length) this.camera.inspect(next);
+    else this.camera.head_home();
+  }
+
+  // Keeps the group panel in step with the camera, rebuilding it when the target or its arrows change.  The key
+  // names each arrow and where it stands, so an arrow swapped for another, or moved by word from the other player
+  // online, is noticed as well as one added.
+  update_inspection() {
+    const index = this.camera.inspecting;
+    const key = index === null ? null : `${index}:` + this.sim.arrows
+      .filter(a => a.stuck_in === 'target' && a.stuck_target_index === index)
+      .map(a => `${a.player}.${a.id}@${a.stuck_offset}`).join(' ');
+    if (key === (this.inspection && this.inspection.key)) return;
+    if (this.inspection) this.inspection.panel.remove();
+    this.inspection = null;
+    if (index === null) return;
+
+    const group = target_group(this.sim, index);
+    this.inspection = { key, group, panel: this.render_group_panel(group) };
+  }
+
+  // The group's numbers, then every shot in it.  With more than one archer on the range, all their arrows make up
+  // the group and each shot says whose it was.
+  render_group_panel(group) {
+    const panel = document.createElement('div');
+    Object.assign(panel.style, {
+      position: 'absolute', top: '70px', right: '20px', zIndex: '20', maxHeight: '70vh', overflowY: 'auto',
+      padding: '12px 18px', fontFamily: 'monospace', color: '#0f0', whiteSpace: 'pre',
+      backgroundColor: 'rgba(5, 15, 5, 0.85)', border: '2px solid #0f0', borderRadius: '10px',
+    });
+    const lines = [`TARGET ${group.target_index + 1} OF ${this.sim.targets.length}  (I: NEXT, AIM TO LEAVE)`, ''];
+    if (!group.shots.length) {
+      lines.push('NO ARROWS IN THIS TARGET');
+    } else {
+      const { center, offset, radius, spread } = group;
+      lines.push(
+        `SHOTS           ${group.shots.length}`,
+        `MEAN IMPACT     ${Math.round(center.x)}, ${Math.round(center.y)} MM  (${Math.round(offset)} MM OUT)`,
+        `BIAS            ${describe_bias(group)}`,
+        `GROUP RADIUS    ${Math.round(radius)} MM`,
+        `EXTREME SPREAD  ${Math.round(spread)} MM`);
+    }
+    panel.appendChild(document.createElement('div')).textContent = lines.join('\n');
+
+    const shared = this.sim.players.length > 1 || !!(this.net && this.net.playing);
+    const table = panel.appendChild(document.createElement('table'));
+    table.style = 'margin-top: 10px; border-spacing: 14px 1px';
+    for (const shot of group.shots) {
+      const row = table.insertRow();
+      const cells = [`${shot.number}.`, `${shot.points} PTS`, `${Math.round(shot.x)}, ${Math.round(shot.y)} MM`];
+      if (shared) {
+        const player = this.arrow_color(shot);
+        row.style.color = PLAYER_COLORS[player].css;
+        cells.push(this.player_name(player));
       }
-      this.held_keys[e.key] = true;
+      for (const text of cells) row.insertCell().textContent = text;
+    }
+    document.body.appendChild(panel);
+    return panel;
+  }
+
+  // While a target is inspected: a cross at the group's mean point of impact and a ring of dots at its radius.
+  draw_group_marks(caller) {
+    const group = this.inspection && this.inspection.group;
+    if (!group || !group.shots.length) return;
+    const target = this.sim.targets[group.target_index];
+    const front = 4 * RING_STEP + target.depth / 2 + 0.01;      // just in front of the gold, the fifth ring
+    const mean = Mat4.translation(...this.sim.target_centers[group.target_index])
+      .times(target.get_rotation())
+      .times(Mat4.translation(group.center.x / 1000, group.center.y / 1000, front));
+
+    const mark = this.materials.dot;
+    for (const [width, height] of [[0.12, 0.012], [0.012, 0.12]])
+      this.shapes.ground.draw(caller, this.uniforms, mean.times(Mat4.scale(width, height, 1)), mark);
+
+    const radius = group.radius / 1000;
+    if (radius < 0.02) return;
+    for (let i = 0; i < 32; i++) {
+      const angle = i / 32 * 2 * Math.PI;
+      const dot = mean.times(Mat4.translation(radius * Math.cos(angle), radius * Math.sin(angle), 0))
+        .times(Mat4.scale(0.02, 0.02, 0.02));
+      this.shapes.dot.draw(caller, this.uniforms, dot, mark);
+    }
+  }
+
+  /* ---------- Levels ---------- */
+
+  // Switching courses abandons whatever recording or replay is running, since it belongs to the old course.
+  select_level(entry) {
+    return fetch_level(entry)
+      .then(level => {
+        if (this.recorder.active) this.last_recording = this.recorder.stop();
+        if (this.replay_player) this.finish_playback();
+        this.sim.load_level(level);
+        if (this.net) this.net.restart();
+      })
+      .catch(error => console.error(`Could not load level "${entry.name}":`, error));
+  }
+
+  // Replays bring their own course, so the selector follows whatever the simulation has loaded.
+  show_current_level() {
+    const index = this.level_entries.findIndex(entry => entry.id === this.sim.level.id);
+    if (index >= 0) this.level_select.value = index;
+  }
+
+  add_level_select() {
+    const select = this.level_select = this.control_panel.appendChild(document.createElement('select'));
+    select.style = 'margin: 4px 8px 4px 0; padding: 3px';
+    this.level_entries = [];
+    fetch_level_index().then(entries => {
+      this.level_entries = entries;
+      for (const [i, entry] of entries.entries())
+        select.appendChild(Object.assign(document.createElement('option'), { value: i, textContent: entry.name }));
+      this.show_current_level();
+    });
+    select.addEventListener('change', () => {
+      this.select_level(this.level_entries[select.value]);
+      select.blur();
     });
-    document.addEventListener('keyup', e => this.held_keys[e.key] = false);
   }
 
-  reset_game() {
-    this.arrow_speed_index = 0;
-    this.score = 0;
-    this.shots_taken = 0;
-    this.max_shots = GAME_CONFIG.maxShots;
-    this.streak = 0;
-    this.reload_timer=0;
-
-    this.aim_yaw = 0;
-    this.aim_pitch = 0;
-    this.aim_sensitivity = GAME_CONFIG.aimSensitivity;
-
-    this.is_drawing = false;
-    this.draw_strength = 0;
-    this.max_draw_strength = GAME_CONFIG.maxDrawStrength;
-
-    this.arrows = [];
-    this.gravity = GAME_CONFIG.gravity;
-
-    this.weather = new WeatherSystem();
-    this.target_centers = [];
-
-    this.targets = [
-      new Target(vec3(-5, 4, -40), 2.5, 0.2, 4, 1.5, 1.2, 2.4),
-      new Target(vec3( 6, 6, -60), 3.0, 0.2, 8, 3.0, 0.8, 0.4),
-    ];
+  /* ---------- Game Modes and Players ---------- */
 
-    // Bounding spheres for each cow (center x, y, z, radius).
-    // Each cow is roughly 1.6 units long so a radius of 1.8 is generous.
-    this.cow_bounds = [
-      { x: -10, y: 1.1, z: -28 },
-      { x: -13, y: 1.1, z: -18 },
-      { x: -11, y: 1.1, z: -50 },
-      { x: -14, y: 1.1, z: -72 },
-      { x:  10, y: 1.1, z: -22 },
-      { x:  12, y: 1.1, z: -45 },
-      { x:  13, y: 1.1, z: -68 },
-      { x: -16, y: 1.1, z: -35 },
-      { x:  15, y: 1.1, z: -33 },
-    ].map(c => ({ ...c, r: 1.8 }));
+  // Like switching courses, switching modes or player counts starts a new match and drops any recording or replay
+  // in progress.
+  select_mode(mode_id) {
+    if (this.recorder.active) this.last_recording = this.recorder.stop();
+    if (this.replay_player) this.finish_playback();
+    this.sim.set_mode(mode_id);
+    if (this.net) this.net.restart();
   }
 
-  /* ---------- Helpers ---------- */
+  select_players(count) {
+    if (this.recorder.active) this.last_recording = this.recorder.stop();
+    if (this.replay_player) this.finish_playback();
+    this.sim.set_players(count);
+  }
 
-  is_rainy_weather() {
-    return this.weather.type === 'rain';
+  add_player_select() {
+    const select = this.player_select = this.control_panel.appendChild(document.createElement('select'));
+    select.style = 'margin: 4px 8px 4px 0; padding: 3px';
+    for (let count = 1; count <= MAX_PLAYERS; count++)
+      select.appendChild(Object.assign(document.createElement('option'), {
+        value: count, textContent: count === 1 ? '1 Player' : `${count} Players (hot seat)`,
+      }));
+    select.value = this.sim.player_count;
+    select.addEventListener('change', () => {
+      this.select_players(Number(select.value));
+      select.blur();
+    });
   }
 
-  is_snowy_weather() {
-    return this.weather.type === 'snow';
+  player_name(index) {
+    const you = this.net && this.net.playing && index === this.net.seat;
+    return `PLAYER ${index + 1}${you ? ' (YOU)' : ''}`;
+  }
+
+  // In hot-seat matches: whose turn it is, with a banner for the first moments of each turn.
+  turn_banner() {
+    const sim = this.sim;
+    if (sim.players.length < 2) return '';
+    const css = PLAYER_COLORS[sim.turn].css, name = this.player_name(sim.turn);
+    const started = this.turn_started;
+    if (started && started.player === sim.turn && sim.time - started.time < TURN_BANNER_TIME)
+      return `<span style="font-size:32px; color:${css}">${name}, YOUR TURN</span>\n`;
+    return `<span style="color:${css}">${name}</span>  |  `;
+  }
+
+  add_mode_select() {
+    const select = this.mode_select = this.control_panel.appendChild(document.createElement('select'));
+    select.style = 'margin: 4px 8px 4px 0; padding: 3px';
+    for (const mode of Object.values(GAME_MODES))
+      select.appendChild(Object.assign(document.createElement('option'), {
+        value: mode.id, textContent: mode.label, title: mode.description,
+      }));
+    select.value = this.sim.mode_id;
+    select.addEventListener('change', () => {
+      this.select_mode(select.value);
+      select.blur();
+    });
   }
 
-  is_stormy_weather() {
-    return this.weather.type === 'rain' || this.weather.type === 'snow';
+  /* ---------- Online Matches ---------- */
+
+  // Joins the room named in the box under the buttons, or leaves the current one.  The first player in a room
+  // hosts: their course and mode are the match's.
+  toggle_online() {
+    if (this.net) {
+      this.net.leave();
+      return;
+    }
+    if (this.recorder.active) this.last_recording = this.recorder.stop();
+    if (this.replay_player) this.finish_playback();
+    const room = this.room_input.value.trim() || 'range';
+    this.net_error = null;
+    this.net = new Net_Match(this.sim, relay_url(room), { on_change: () => this.net_changed() });
+    this.net.room = room;
+    this.net_changed();
+  }
+
+  net_changed() {
+    const net = this.net;
+    if (net && net.state === 'closed') {
+      this.net_error = net.error;
+      this.net = null;
+    }
+    if (this.level_select) this.show_current_level();
+    if (this.mode_select) this.mode_select.value = this.sim.mode_id;
+    if (this.player_select) this.player_select.value = this.sim.player_count;
+
+    // Online, the host picks the course and mode, and each end has one player.
+    const guest = !!(this.net && !this.net.is_host && this.net.state !== 'connecting');
+    for (const select of [this.level_select, this.mode_select]) if (select) select.disabled = guest;
+    if (this.player_select) this.player_select.disabled = !!this.net;
+
+    if (this.results && this.results.online) this.render_results();
   }
 
-  show_mountain_snow() {
-    return this.weather.type === 'rain' || this.weather.type === 'snow';
+  add_room_input() {
+    const input = this.room_input = this.control_panel.appendChild(document.createElement('input'));
+    Object.assign(input, {
+      value: 'range', size: 10, title: 'Online room: two players in the same room play each other',
+    });
+    input.style = 'margin: 4px 8px 4px 0; padding: 3px';
   }
 
-  clamp(x, lo, hi) {
-    return Math.max(lo, Math.min(hi, x));
+  // This player and the other online, best score first.  Until the other's round is over, their score so far.
+  online_standings(summary) {
+    const { seat, remote_seat, remote } = this.net;
+    const mine = { player: seat, ...summary };
+    const theirs = remote.summary ? { player: remote_seat, ...remote.summary }
+      : { player: remote_seat, score: remote.score, shots_taken: remote.shots_taken, pending: true };
+    return [mine, theirs].sort((a, b) => b.score - a.score);
   }
 
-  get_weather_wind_vector() {
-    const preset = this.weather.preset;
-    const s = preset.windStrength;
-    const a = preset.windAngle;
-    return vec3(s * Math.cos(a), 0, s * Math.sin(a));
+  // Who is playing whom, above the score while online.
+  online_banner() {
+    const net = this.net;
+    if (!net) return '';
+    if (net.state === 'connecting') return `CONNECTING TO ROOM ${net.room.toUpperCase()}...\n`;
+    if (!net.playing) return `WAITING FOR AN OPPONENT IN ROOM ${net.room.toUpperCase()}\n`;
+    const them = net.remote_seat;
+    return `<span style="color:${PLAYER_COLORS[net.seat].css}">YOU</span>  VS  ` +
+      `<span style="color:${PLAYER_COLORS[them].css}">${this.player_name(them)}: ` +
+      `${net.remote.score.toString().padStart(4, '0')}</span>  (${net.remote.shots_taken} SHOTS)\n`;
   }
 
-  current_aim_direction() {
-    const cy = Math.cos(this.aim_yaw), sy = Math.sin(this.aim_yaw);
-    const cp = Math.cos(this.aim_pitch), sp = Math.sin(this.aim_pitch);
-    return vec3(-sy * cp, sp, -cy * cp).normalized();
+  // An arrow's vane color: its hot-seat player, or online, which end of the match shot it.
+  arrow_color(arrow) {
+    return this.net && this.net.playing && !arrow.remote ? this.net.seat : arrow.player;
   }
 
-  get_player_origin() {
-    return vec3(0, GAME_CONFIG.playerHeight, 0);
+  /* ---------- Helpers ---------- */
+
+  // Names the body part of the last cow hit for a couple of seconds after it happens.
+  cow_hit_banner() {
+    const hit = this.sim.last_cow_hit;
+    if (!hit || this.sim.time - hit.time > 2.5) return '';
+    const part = hit.part.replace('_', ' ').toUpperCase();
+    return `\n<span style="color:#f44">COW HIT: ${part}!  ${this.sim.mode.constructor.cow_penalty}</span>`;
   }
 
-  compute_arrow_speed() {
-    const base = ARROW_SPEED_PRESETS[this.arrow_speed_index];
-    return base * (0.2 + 0.8 * this.draw_strength);
+  // Shots taken, out of the quiver when the mode limits it.
+  shot_count() {
+    const sim = this.sim;
+    return Number.isFinite(sim.max_shots) ? `${sim.shots_taken}/${sim.max_shots}` : `${sim.shots_taken}`;
   }
 
-  cycle_arrow_speed() {
-    this.arrow_speed_index =
-      (this.arrow_speed_index + 1) % ARROW_SPEED_PRESETS.length;
+  is_rainy_weather() {
+    return this.sim.weather.type === 'rain';
   }
 
-  score_for_radius_fraction(frac) {
-    for (const band of TARGET_SCORING) {
-      if (frac <= band.frac) return band.points;
+  is_snowy_weather() {
+    return this.sim.weather.type === 'snow';
+  }
+
+  is_stormy_weather() {
+    return this.sim.weather.type === 'rain' || this.sim.weather.type === 'snow';
+  }
+
+  // A material mixed from each weather type's choice (see WEATHER_LOOKS), weighted by how far the weather has
+  // faded into that type.
+  weather_material(pick) {
+    let blended = null;
+    for (const [type, w] of Object.entries(this.sim.weather.weights)) {
+      if (!w) continue;
+      const m = this.materials[pick(WEATHER_LOOKS[type])];
+      if (!blended) blended = { ...m, color: color(0, 0, 0, 0), ambient: 0, diffusivity: 0 };
+      blended.color = blended.color.plus(m.color.times(w));
+      blended.ambient += w * m.ambient;
+      blended.diffusivity += w * m.diffusivity;
     }
-    return 0;
+    return blended;
+  }
+
+  weather_amount(pick) {
+    let amount = 0;
+    for (const [type, w] of Object.entries(this.sim.weather.weights)) amount += w * pick(WEATHER_LOOKS[type]);
+    return amount;
+  }
+
+  clamp(x, lo, hi) {
+    return Math.max(lo, Math.min(hi, x));
   }
 
   trigger_scoreboard_flash() {
@@ -800,6 +1436,13 @@ export class Bullseye_Range extends Component {
     );
   }
 
+  // get_basis_from_dir() lists its axes as rows, which only carries local z onto `dir` for directions straight down
+  // the range or straight up and down it; anything else comes out turned the mirror way.  This frame has the same
+  // axes as columns, so local z goes exactly along `dir`.
+  get_frame_from_dir(dir) {
+    return this.get_basis_from_dir(dir).transposed();
+  }
+
   get_basis_from_forward_up(forward, upHint) {
     let f = forward.normalized();
 
@@ -824,30 +1467,6 @@ export class Bullseye_Range extends Component {
     );
   }
 
-  get_view_axes(dir) {
-    const forward = dir.normalized();
-    let upHint = vec3(0, 1, 0);
-
-    if (Math.abs(forward.dot(upHint)) > 0.995) {
-      upHint = vec3(1, 0, 0);
-    }
-
-    let right = forward.cross(upHint);
-    if (right.norm() < 1e-5) right = vec3(1, 0, 0);
-    right = right.normalized();
-
-    const up = right.cross(forward).normalized();
-
-    return { forward, right, up };
-  }
-
-  offset_in_view_space(base, axes, offset) {
-    return base
-      .plus(axes.right.times(offset[0]))
-      .plus(axes.up.times(offset[1]))
-      .plus(axes.forward.times(offset[2]));
-  }
-
   solve_two_bone_ik(shoulder, target, len1, len2, bend_hint) {
     let toTarget = target.minus(shoulder);
     let dist = toTarget.norm();
@@ -901,6 +1520,19 @@ export class Bullseye_Range extends Component {
     this.shapes.post.draw(caller, this.uniforms, transform, material);
   }
 
+  // A round rod from a to b, such as a target's post or rope.
+  draw_rod(caller, a, b, radius, material) {
+    const diff = b.minus(a);
+    const len = diff.norm();
+    if (len < 1e-5) return;
+
+    const transform = Mat4.translation(...a)
+      .times(this.get_frame_from_dir(diff))
+      .times(Mat4.translation(0, 0, len / 2))
+      .times(Mat4.scale(radius, radius, len / 2));
+    this.shapes.post.draw(caller, this.uniforms, transform, material);
+  }
+
   draw_joint(caller, pos, radius, material) {
     const transform = Mat4.translation(...pos).times(Mat4.scale(radius, radius, radius));
     this.shapes.sphere.draw(caller, this.uniforms, transform, material);
@@ -983,19 +1615,9 @@ export class Bullseye_Range extends Component {
 
   // drawing mountain
   draw_mountain(caller, base_pos, width, height, depth = 1.0) {
-    let main_mat = this.materials.mountain_clear;
-    let dark_mat = this.materials.mountain_dark;
-    let light_mat = this.materials.mountain_light;
-
-    if (this.weather.type === 'rain') {
-      main_mat = this.materials.mountain_rain;
-      dark_mat = this.materials.mountain_rain;
-      light_mat = this.materials.mountain;
-    } else if (this.weather.type === 'snow') {
-      main_mat = this.materials.mountain_snowy;
-      dark_mat = this.materials.mountain;
-      light_mat = this.materials.mountain_light;
-    }
+    const main_mat = this.weather_material(look => look.mountain[0]);
+    const dark_mat = this.weather_material(look => look.mountain[1]);
+    const light_mat = this.weather_material(look => look.mountain[2]);
 
     const [x, y, z] = base_pos;
 
@@ -1029,12 +1651,13 @@ export class Bullseye_Range extends Component {
       .times(Mat4.scale(width * 0.22, depth * width * 0.18, height * 0.42));
     this.shapes.cone.draw(caller, this.uniforms, jagged_spike, light_mat);
 
-    // Snow cap on tallest peak
+    // Snow cap on tallest peak, growing in and melting away with the weather
+    const snow_amount = this.weather_amount(look => look.snow);
     const snow = Mat4.translation(x, y + height * 1.1, z + 0.6)
       .times(Mat4.rotation(-Math.PI / 2, 1, 0, 0))
-      .times(Mat4.scale(width * 3, depth * width * .2, height * .5));
+      .times(Mat4.scale(width * 3, depth * width * .2, height * .5 * snow_amount));
 
-    if (this.show_mountain_snow()) {
+    if (snow_amount > 0.02) {
       this.shapes.cone.draw(caller, this.uniforms, snow, this.materials.snow_cap);
     }
 }
@@ -1043,6 +1666,7 @@ export class Bullseye_Range extends Component {
     // A Holstein dairy cow (black and white) grazing in the field.
     // yaw rotates the whole cow around its vertical axis (radians).
     // All proportions and colours match a real cow.
+    // The hit capsules in COW_HIT_PARTS (bullseye-simulation.js) follow these parts; keep them in step.
 
     const S = this.shapes;
     const M = this.uniforms;
@@ -1155,47 +1779,30 @@ export class Bullseye_Range extends Component {
   }
 
   draw_scenery(caller) {
-    let sky_material = this.materials.sky;
-
-    if (this.weather.type === 'rain') {
-      sky_material = {
-        ...this.materials.sky,
-        color: color(0.20, 0.20, 0.20, 1),
-        ambient: 0.65
-      };
-    } else if (this.weather.type === 'snow') {
-      sky_material = {
-        ...this.materials.sky,
-        color: color(0.2, 0.2, 0.2, 1),
-        ambient: 0.65
-      };
-    }
+    const scenery = this.sim.level.scenery;
+    const sky_material = this.weather_material(look => look.sky);
 
     // sky dome
     const sky_transform = Mat4.scale(170, 170, 170);
     this.shapes.sphere.draw(caller, this.uniforms, sky_transform, sky_material);
 
-    // sun
-    if (this.weather.type !== 'rain' && this.weather.type !== 'snow') {
+    // sun, dimming away as cloud cover comes in
+    const sunlight = this.weather_amount(look => look.sun);
+    if (sunlight > 0.02) {
       const sun_transform = Mat4.translation(38, 42, -120)
         .times(Mat4.rotation(-Math.PI / 2, 0, 1, 0))
         .times(Mat4.rotation(Math.PI, 0, 0, 1))
         .times(Mat4.scale(7, 7, 7));
 
-      this.shapes.sphere.draw(caller, this.uniforms, sun_transform, this.materials.sun);
+      this.shapes.sphere.draw(caller, this.uniforms, sun_transform, { ...this.materials.sun, ambient: sunlight });
     }
 
-    let cloud_material = this.materials.cloud;
-    if (this.weather.type === 'rain') {
-      cloud_material = this.materials.cloud_storm;
-    } else if (this.weather.type === 'snow') {
-      cloud_material = this.materials.cloud_dark;
-    }
+    const cloud_material = this.weather_material(look => look.cloud);
 
     // clouds
-    this.draw_cloud(caller, vec3(-28, 26, -95), 4.5, 3.0, 2.2, cloud_material);
-    this.draw_cloud(caller, vec3(18, 22, -85), 3.6, 2.5, 2.0, cloud_material);
-    this.draw_cloud(caller, vec3(45, 28, -110), 4.0, 2.8, 2.4, cloud_material);
+    for (const c of scenery.clouds) {
+      this.draw_cloud(caller, vec3(...c.pos), ...c.scale, cloud_material);
+    }
 
     // ground
     const ground_transform = Mat4.translation(0, 0, -55)
@@ -1210,33 +1817,27 @@ export class Bullseye_Range extends Component {
     this.shapes.ground.draw(caller, this.uniforms, lane_transform, { ...this.materials.ground, color: color(0.30, 0.50, 0.24, 1) });
 
     // far mountains
-    this.draw_mountain(caller, vec3(-78, 2, -158), 16, 24, 1.0);
-    this.draw_mountain(caller, vec3(-42, 1, -150), 13, 19, 0.95);
-    this.draw_mountain(caller, vec3(-6,  3, -162), 18, 28, 1.05);
-    this.draw_mountain(caller, vec3(32,  2, -154), 15, 22, 0.9);
-    this.draw_mountain(caller, vec3(72,  1, -160), 17, 25, 1.0);
+    for (const m of scenery.mountains) {
+      this.draw_mountain(caller, vec3(...m.pos), m.width, m.height, m.depth);
+    }
 
     // rolling hills
-    const hill_positions_far = [
-      vec3(-45, -6, -112), vec3(38, -8, -118), vec3(0, -10, -126)
-    ];
-    for (const pos of hill_positions_far) {
+    for (const pos of scenery.hillsFar) {
       const t = Mat4.translation(...pos).times(Mat4.scale(42, 20, 24));
       this.shapes.sphere.draw(caller, this.uniforms, t, this.materials.hill_far);
     }
 
-    const hill_positions_near = [
-      vec3(-32, -6, -75), vec3(28, -7, -82), vec3(0, -8, -92)
-    ];
-    for (const pos of hill_positions_near) {
+    for (const pos of scenery.hillsNear) {
       const t = Mat4.translation(...pos).times(Mat4.scale(28, 14, 18));
       this.shapes.sphere.draw(caller, this.uniforms, t, this.materials.hill);
     }
 
     // lane side fences
-    for (const x of [-16, 16]) {
-      for (let z = -16; z >= -82; z -= 10) {
-        const post_t = Mat4.translation(x, 1.2, z).times(Mat4.scale(0.12, 1.2, 0.12));
+    const { height: fence_height, radius: fence_radius } = LANE_FENCE;
+    for (const x of LANE_FENCE.x) {
+      for (const z of LANE_FENCE.z) {
+        const post_t = Mat4.translation(x, fence_height / 2, z)
+          .times(Mat4.scale(fence_radius, fence_height / 2, fence_radius));
         this.shapes.post.draw(caller, this.uniforms, post_t, this.materials.wood);
       }
 
@@ -1247,55 +1848,20 @@ export class Bullseye_Range extends Component {
     }
 
     // trees
-    const tree_layout = [
-      { x: -24, z: -22, h: 4.6, s: 1.00 },
-      { x: -19, z: -34, h: 3.0, s: .6 },
-      { x: -24, z: -48, h: 4.3, s: 0.95 },
-      { x: -19, z: -62, h: 5.4, s: 1.12 },
-      { x: -24, z: -76, h: 4.8, s: 1.02 },
-      { x: 19, z: -30, h: 5.2, s: 1.10 },
-      { x:  24, z: -34, h: 5.3, s: 1.10 },
-      { x:  -24, z: -34, h: 6.3, s: 1.10 },
-      { x:  19, z: -48, h: 4.4, s: 0.94 },
-      { x:  20, z: -60, h: 8.1, s: 1.3 },
-      { x:  -19, z: -76, h: 4.9, s: 1.00 },
-      { x:  24, z: -90, h: 5.5, s: 1.14 },
-
-      // new trees
-      { x: -28, z: -28, h: 5.1, s: 1.06 },
-      { x: -20, z: -56, h: 4.7, s: 0.97 },
-      { x: -27, z: -44, h: 5.4, s: 1.12 },
-
-      { x: 28, z: -28, h: 5.0, s: 1.04 },
-      { x: 30, z: -56, h: 4.8, s: 0.98 },
-      { x: 27, z: -84, h: 5.3, s: 1.10 },
-    ];
 
-    for (const t of tree_layout) {
+    for (const t of scenery.trees) {
       this.draw_tree(caller, vec3(t.x, 0, t.z), t.h, t.s);
     }
 
-    // Herd of Holstein cows scattered across the field.
-    // Kept well outside the shooting lane (|x| > 7) and away from target z positions.
-    // Each cow has a distinct yaw so they face different directions.
-    const cow_herd = [
-      { x: -10,  z: -28,  yaw: 0.0              },
-      { x: -13,  z: -18,  yaw: 2.4              },
-      { x: -11,  z: -50,  yaw: 1.1              },
-      { x: -14,  z: -72,  yaw: Math.PI          },
-      { x:  10,  z: -22,  yaw: -0.7             },
-      { x:  12,  z: -45,  yaw: Math.PI * 0.6    },
-      { x:  13,  z: -68,  yaw: -2.1             },
-      { x: -16,  z: -35,  yaw: 0.5              },
-      { x:  15,  z: -33,  yaw: Math.PI * 1.4    },
-    ];
-    for (const c of cow_herd) {
+    // Herd of Holstein cows; the simulation owns where they stand so hits line up with what is drawn.
+    for (const c of this.sim.cows) {
       this.draw_cow(caller, c.x, 0, c.z, c.yaw);
     }
   }
 
-  draw_arrow_mesh(caller, pos, dir) {
-    const basis = this.get_basis_from_dir(dir);
+  // player picks the cock vane's color from PLAYER_COLORS.
+  draw_arrow_mesh(caller, pos, dir, roll = 0, player = 0) {
+    const basis = this.get_frame_from_dir(dir);
 
     const shaft_radius = 0.02;
     const shaft_length = 3.2;
@@ -1315,9 +1881,10 @@ export class Bullseye_Range extends Component {
     this.shapes.arrow_shaft.draw(caller, this.uniforms, shaft_transform, this.materials.wood);
     this.shapes.arrow_head.draw(caller, this.uniforms, head_transform, this.materials.arrow);
 
-    const vane_colors = [this.materials.target_red, this.materials.target_white, this.materials.target_white];
+    const cock_vane = this.materials[PLAYER_COLORS[player].material];
+    const vane_colors = [cock_vane, this.materials.target_white, this.materials.target_white];
     for (let i = 0; i < 3; i++) {
-      const angle = i * (2 * Math.PI / 3);
+      const angle = roll + i * (2 * Math.PI / 3);
       const vane_transform = Mat4.translation(...pos)
         .times(basis)
         .times(Mat4.rotation(angle, 0, 0, 1))
@@ -1337,21 +1904,10 @@ export class Bullseye_Range extends Component {
   }
 
   get_bow_setup() {
-    const dir = this.current_aim_direction();
-    const origin = this.get_player_origin();
-    const axes = this.get_view_axes(dir);
+    const { dir, origin, axes, bowGrip, nockPos } = this.sim.get_bow_setup();
 
-    const bowGrip = this.offset_in_view_space(
-      origin.plus(dir.times(ARM_CONFIG.bowForward)),
-      axes,
-      ARM_CONFIG.bowGripOffset
-    );
-
-    const drawDist = ARM_CONFIG.idleNockDistance + this.draw_strength * ARM_CONFIG.maxPullDistance;
-    const nockPos = bowGrip.minus(dir.times(drawDist));
-
-    const leftShoulder = this.offset_in_view_space(origin, axes, ARM_CONFIG.leftShoulderOffset);
-    const rightShoulder = this.offset_in_view_space(origin, axes, ARM_CONFIG.rightShoulderOffset);
+    const leftShoulder = this.sim.offset_in_view_space(origin, axes, ARM_CONFIG.leftShoulderOffset);
+    const rightShoulder = this.sim.offset_in_view_space(origin, axes, ARM_CONFIG.rightShoulderOffset);
 
     const bowTop = bowGrip.plus(axes.up.times(ARM_CONFIG.bowHalfHeight));
     const bowBottom = bowGrip.minus(axes.up.times(ARM_CONFIG.bowHalfHeight));
@@ -1452,174 +2008,18 @@ export class Bullseye_Range extends Component {
     this.shapes.post.draw(caller, this.uniforms, grip_transform, this.materials.wood);
 
     // Nocked arrow
-    if (this.reload_timer <= 0 && this.shots_taken < this.max_shots) {
-      const flipped_dir = vec3(-dir[0], dir[1], dir[2]);
-      this.draw_arrow_mesh(caller, nockPos, flipped_dir);
-    }
-  }
-
-  get_shot_state() {
-  const setup = this.get_bow_setup();
-  const speed = this.compute_arrow_speed();
-  const wind = this.get_weather_wind_vector();
-
-  // Launch exactly along camera/look direction
-  const shotDir = setup.dir.normalized();
-  const velocity = shotDir.times(speed).plus(wind);
-
-  return {
-    start: setup.nockPos,
-    velocity,
-    aimDir: shotDir
-  };
-}
-
-  /* ---------- Gameplay ---------- */
-
-  spawn_arrow() {
-    if (this.shots_taken >= this.max_shots) return;
-
-    const shot = this.get_shot_state();
-    this.arrows.push(new Arrow(shot.start, shot.velocity));
-    this.shots_taken++;
-    this.reload_timer = 0.35;
-  }
-
-  update_aim(is_hold, dt) {
-    if (!is_hold) return;
-    this.draw_strength = Math.min(
-      this.max_draw_strength,
-      this.draw_strength + GAME_CONFIG.drawChargeRate * dt
-    );
-  }
-
-  update_targets(dt) {
-    for (const t of this.targets) t.update(dt);
-    this.target_centers = this.targets.map(t => t.get_center());
-  }
-
-  update_arrows(dt) {
-    const wind_vec = this.get_weather_wind_vector();
-    for (const a of this.arrows) a.update(dt, this.gravity, wind_vec);
-    this.arrows = this.arrows.filter(a => a.alive);
-  }
-
-  resolve_arrow_target_collisions() {
-    for (const a of this.arrows) {
-      if (!a.alive || a.stuck) continue;
-
-      for (let i = 0; i < this.targets.length; i++) {
-        const center = this.target_centers[i];
-        const target = this.targets[i];
-
-        const z0 = a.prev_pos[2];
-        const z1 = a.pos[2];
-        const tz = center[2];
-
-        const dz = z1 - z0;
-        if (Math.abs(dz) < 1e-8) continue;
-
-        const crossesPlane = (z0 - tz) * (z1 - tz) <= 0;
-        if (!crossesPlane) continue;
-
-        const tHit = (tz - z0) / dz;
-        if (tHit < 0 || tHit > 1) continue;
-
-        const segment = a.pos.minus(a.prev_pos);
-        const hit_pos = a.prev_pos.plus(segment.times(tHit));
-
-        const dx = hit_pos[0] - center[0];
-        const dy = hit_pos[1] - center[1];
-        const r = Math.sqrt(dx * dx + dy * dy);
-
-      if (r <= target.radius) {
-        const ring_frac = r / target.radius;
-        const points = this.score_for_radius_fraction(ring_frac);
-
-        this.score += points;
-        this.streak = points >= 8 ? this.streak + 1 : 0;
-
-        if (points >= 6) this.trigger_scoreboard_flash();
-
-        const impact_dir = a.get_direction();
-
-        a.stuck = true;
-        a.stuck_dir = impact_dir;
-        a.stuck_target_index = i;
-        a.vel = vec3(0, 0, 0);
-
-        const visible_stuck_pos = hit_pos.plus(vec3(0, 0, 0.45));
-        a.stuck_offset = visible_stuck_pos.minus(center);
-        a.pos = visible_stuck_pos;
-
-        break;
-      }
-      }
+    if (this.sim.reload_timer <= 0 && this.sim.can_shoot()) {
+      const player = this.net && this.net.playing ? this.net.seat : this.sim.turn;
+      this.draw_arrow_mesh(caller, nockPos, dir, 0, player);
     }
   }
-resolve_arrow_cow_collisions() {
-    for (const a of this.arrows) {
-      if (!a.alive || a.stuck) continue;
-
-      for (const cow of this.cow_bounds) {
-        const dx = a.pos[0] - cow.x;
-        const dy = a.pos[1] - cow.y;
-        const dz = a.pos[2] - cow.z;
-        const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
-
-        if (dist <= cow.r) {
-          // Hit a cow — lose all points and streak
-          this.score = 0;
-          this.streak = 0;
-          a.alive = false;
-          this.trigger_penalty_flash();
-          break;
-        }
-      }
-    }
-  }
-
-  update_stuck_arrows() {
-  for (const a of this.arrows) {
-    if (!a.stuck) continue;
-    if (a.stuck_target_index === null) continue;
-
-    const center = this.target_centers[a.stuck_target_index];
-    a.pos = center.plus(a.stuck_offset);
-  }
-}
-  update_simulation(dt) {
-    this.weather.update(dt);
-    this.update_targets(dt);
-    this.update_arrows(dt);
-    this.resolve_arrow_target_collisions();
-    this.resolve_arrow_cow_collisions();
-    this.update_stuck_arrows();
-  }
 
   /* ---------- Rendering ---------- */
 
 draw_trajectory(caller) {
-  if (!this.is_drawing) return;
-
-  const shot = this.get_shot_state();
-  let pos = shot.start;
-  let vel = shot.velocity;
-
-  const wind = this.get_weather_wind_vector();
-  const step = 0.075;
-  const maxPoints = 28;
-
-  for (let i = 0; i < maxPoints; i++) {
-    vel = vel.plus(vec3(
-      wind[0] * step,
-      this.gravity * step + wind[1] * step,
-      wind[2] * step
-    ));
-    pos = pos.plus(vel.times(step));
-
-    if (pos[1] < -2) break;
+  if (!this.sim.is_drawing) return;
 
+  for (const pos of this.sim.predict_flight()) {
     const t = Mat4.translation(...pos).times(Mat4.scale(0.07, 0.07, 0.07));
     this.shapes.dot.draw(caller, this.uniforms, t, this.materials.dot);
   }
@@ -1634,96 +2034,226 @@ draw_trajectory(caller) {
       { frac: 0.2, material: this.materials.target_gold  },
     ];
 
-    for (let i = 0; i < this.targets.length; i++) {
-      const center = this.target_centers[i];
-      const target = this.targets[i];
-
-      const post_transform = Mat4.translation(center[0], center[1] - target.radius - 2.2, center[2])
-        .times(Mat4.scale(0.16, target.radius + 2.2, 0.16));
-      this.shapes.post.draw(caller, this.uniforms, post_transform, this.materials.wood);
+    for (let i = 0; i < this.sim.targets.length; i++) {
+      const center = this.sim.target_centers[i];
+      const target = this.sim.targets[i];
+      const anchor = target.get_anchor();
+
+      // Hanging targets get a rope to their pivot in place of a post.
+      if (anchor) {
+        const top = Mat4.translation(...center).times(target.get_rotation()).times(vec4(0, target.radius, 0, 1)).to3();
+        this.draw_rod(caller, anchor, top, 0.03, this.materials.rope);
+      } else {
+        this.draw_rod(caller, target.get_pivot(), center, STAND_RADIUS, this.materials.wood);
+      }
+      if (target.reaction.broken(this.sim.time)) continue;
 
       let layer = 0;
       for (const ring of rings) {
-        const z_offset = layer * 0.045;
+        const z_offset = layer * RING_STEP;
 
-        const face_transform = Mat4.translation(center[0], center[1], center[2] + z_offset)
+        const face_transform = Mat4.translation(...center)
+          .times(target.get_rotation())
+          .times(Mat4.translation(0, 0, z_offset))
           .times(Mat4.scale(target.radius * ring.frac, target.radius * ring.frac, target.depth));
 
-        this.shapes.target_face.draw(caller, this.uniforms, face_transform, ring.material);
+        const material = layer === 0 && target.breaks ? this.materials.clay : ring.material;
+        this.shapes.target_face.draw(caller, this.uniforms, face_transform, material);
         layer++;
       }
     }
   }
 
-draw_arrows(caller) {
-  for (const a of this.arrows) {
-    let dir;
+  // Throws out pieces of a clay target, carried on by the arrow that broke it.
+  shatter({ position, velocity }) {
+    const carry = vec3(...velocity).times(0.15);
+    for (let i = 0; i < 14; i++) {
+      const spray = vec3(Math.random() - 0.5, Math.random() * 0.8, Math.random() - 0.5).times(6);
+      this.shards.push({
+        pos: vec3(...position),
+        vel: carry.plus(spray),
+        size: 0.08 + Math.random() * 0.12,
+        age: 0,
+      });
+    }
+  }
 
-    if (a.stuck && a.stuck_dir) {
-      dir = a.stuck_dir;
-    } else {
-      dir = a.get_direction();
-      dir = vec3(-dir[0], dir[1], dir[2]);
+  draw_shards(caller, dt) {
+    const gravity = this.sim.gravity;
+    this.shards = this.shards.filter(s => (s.age += dt) < SHARD_LIFE);
+    for (const s of this.shards) {
+      s.vel = s.vel.plus(vec3(0, gravity * dt, 0));
+      s.pos = s.pos.plus(s.vel.times(dt));
+      if (s.pos[1] < s.size) {
+        s.pos[1] = s.size;
+        s.vel = vec3(s.vel[0] * 0.5, -s.vel[1] * 0.3, s.vel[2] * 0.5);
+      }
+      const transform = Mat4.translation(...s.pos).times(Mat4.scale(s.size, s.size * 0.4, s.size));
+      this.shapes.dot.draw(caller, this.uniforms, transform, this.materials.clay);
     }
+  }
 
-    this.draw_arrow_mesh(caller, a.pos, dir);
+draw_arrows(caller) {
+  for (const a of this.sim.arrows) {
+    this.draw_arrow_mesh(caller, a.pos, a.get_direction(), a.roll, this.arrow_color(a));
   }
 }
 
+  // A flag or sock's pose for the wind at `pos`: heading is the rotation about y that turns local +x downwind,
+  // droop is how far it hangs below horizontal.  Both flutter more the harder it blows.
+  wind_indicator_pose(pos, phase) {
+    const wind = this.sim.get_wind_at(pos);
+    const speed = Math.hypot(wind[0], wind[2]);
+    const lift = Math.min(1, speed / 12);
+    const flutter = Math.sin(this.sim.time * (4 + speed) + phase) * 0.25 * lift;
+    return {
+      heading: Math.atan2(-wind[2], wind[0]) + flutter,
+      droop: (1 - lift) * Math.PI * 0.45 + Math.abs(flutter) * 0.3,
+    };
+  }
+
+  draw_pole(caller, x, z, height, radius) {
+    const pole = Mat4.translation(x, height / 2, z)
+      .times(Mat4.rotation(-Math.PI / 2, 1, 0, 0))
+      .times(Mat4.scale(radius, radius, height));
+    this.shapes.post.draw(caller, this.uniforms, pole, this.materials.pole);
+  }
+
+  // Flags on the lane fences and a wind sock near the shooting line, all posed by the wind field where they stand.
+  draw_wind_indicators(caller) {
+    const { height: flag_height, radius: flag_radius } = FLAG_POLES;
+    for (const x of LANE_FENCE.x) {
+      for (const z of FLAG_POLES.z) {
+        this.draw_pole(caller, x, z, flag_height, flag_radius);
+        const top = vec3(x, flag_height - 0.3, z);
+        const { heading, droop } = this.wind_indicator_pose(top, x + z);
+        const flag = Mat4.translation(...top)
+          .times(Mat4.rotation(heading, 0, 1, 0))
+          .times(Mat4.rotation(-droop, 0, 0, 1))
+          .times(Mat4.translation(0.6, 0, 0))
+          .times(Mat4.scale(0.6, 0.35, 1));
+        this.shapes.ground.draw(caller, this.uniforms, flag, this.materials.flag);
+      }
+    }
+
+    const sock_base = vec3(WIND_SOCK_POLE.x, WIND_SOCK_POLE.height - 0.2, WIND_SOCK_POLE.z);
+    this.draw_pole(caller, WIND_SOCK_POLE.x, WIND_SOCK_POLE.z, WIND_SOCK_POLE.height, WIND_SOCK_POLE.radius);
+    const { heading, droop } = this.wind_indicator_pose(sock_base, 0);
+    const sock_frame = Mat4.translation(...sock_base)
+      .times(Mat4.rotation(heading, 0, 1, 0))
+      .times(Mat4.rotation(-droop, 0, 0, 1));
+    // Striped in two sections, wide at the mouth and narrowing downwind.
+    const sections = [[0, 0.38, this.materials.flag], [0.8, 0.26, this.materials.target_white]];
+    for (const [start, radius, material] of sections) {
+      const section = sock_frame
+        .times(Mat4.translation(start + 0.8, 0, 0))
+        .times(Mat4.rotation(Math.PI / 2, 0, 1, 0))
+        .times(Mat4.scale(radius, radius, 0.8));
+      this.shapes.cone.draw(caller, this.uniforms, section, material);
+    }
+  }
+
+  // Rain and snow go out in one instanced draw.  Without instancing, only the first few hundred particles are
+  // drawn, one square each, which is all the old per-particle path could keep up with.
+  draw_weather(caller) {
+    const particles = this.sim.weather.particles;
+    if (!Particle_Renderer.supported(caller.context)) {
+      for (const p of particles.slice(0, 400)) {
+        const transform = Mat4.translation(...p.pos).times(Mat4.scale(...p.scale));
+        this.shapes.ground.draw(caller, this.uniforms, transform, { ...this.materials.particles, color: p.color });
+      }
+      return;
+    }
+
+    const renderer = this.weather_particles;
+    renderer.clear();
+    for (const p of particles) {
+      const fade_out = Math.min(1, (p.life - p.age) / 0.5);
+      renderer.add(p.pos, p.motion, 2 * p.scale[0], 2 * p.scale[1], p.color, fade_out);
+    }
+    renderer.draw(caller, this.uniforms, { stretch: 0.025 });
+  }
+
   /* ---------- UI Controls ---------- */
 
   render_controls() {
-    // Before (jittery — fires on OS key-repeat):
-    // fixed: left now actually goes left, right now actually goes right
-    this.key_triggered_button('Aim Left', ['ArrowLeft'], () => this.aim_yaw += this.aim_sensitivity);
-    this.key_triggered_button('Aim Right', ['ArrowRight'], () => this.aim_yaw -= this.aim_sensitivity);
+    const sim = this.sim;
+    // Aiming turns a step per frame for as long as the control is held (see render_animation()), rather than on
+    // each key press, so it doesn't stutter with the keyboard's auto-repeat.
+    const hold_aim = (name, keys, direction) => this.key_triggered_button(name, keys,
+      () => this.aim_held[direction] = true, undefined, () => this.aim_held[direction] = false);
+    hold_aim('Aim Left', ['ArrowLeft'], 'left');
+    hold_aim('Aim Right', ['ArrowRight'], 'right');
     this.new_line();
- 
-    this.key_triggered_button('Aim Up', ['ArrowUp'], () => {
-      this.aim_pitch = Math.min(this.aim_pitch + this.aim_sensitivity, 0.45);
-    });
-    this.key_triggered_button('Aim Down', ['ArrowDown'], () => {
-      this.aim_pitch = Math.max(this.aim_pitch - this.aim_sensitivity, -0.45);
-    });
-
-    // After (keep them for the visible UI buttons, but disable the key callback):
-    this.key_triggered_button('Aim Left',  [], () => this.aim_yaw += this.aim_sensitivity);
-    this.key_triggered_button('Aim Right', [], () => this.aim_yaw -= this.aim_sensitivity);
-    this.key_triggered_button('Aim Up',    [], () => { this.aim_pitch = Math.min(this.aim_pitch + this.aim_sensitivity, 0.45); });
-    this.key_triggered_button('Aim Down',  [], () => { this.aim_pitch = Math.max(this.aim_pitch - this.aim_sensitivity, -0.45); });
+    hold_aim('Aim Up', ['ArrowUp'], 'up');
+    hold_aim('Aim Down', ['ArrowDown'], 'down');
     this.new_line();
 
     this.key_triggered_button(
       'Draw / Release',
       [' '],
-      () => {
-        if (!this.is_drawing && this.shots_taken < this.max_shots) {
-          this.is_drawing = true;
-          this.draw_strength = 0;
-        }
-      },
+      () => this.send_input('draw'),
       undefined,
-      () => {
-        if (this.is_drawing) {
-          this.is_drawing = false;
-          this.spawn_arrow();
-          this.draw_strength = 0;
-        }
-      }
+      () => this.send_input('release')
     );
+    this.key_triggered_button('Hold Breath', ['h'], () => this.send_input('hold_breath'), undefined,
+      () => this.send_input('breathe'));
 
     this.new_line();
-    this.key_triggered_button('Cycle Weather', ['q'], () => this.weather.cycle_type(), 'blue');
+    this.key_triggered_button('Cycle Weather', ['q'], () => this.send_input('cycle_weather'), 'blue');
+    this.key_triggered_button('Auto Weather', ['Shift', 'Q'], () => this.send_input('auto_weather'), 'blue');
     this.key_triggered_button('Reset Game', ['r'], () => this.reset_game(), 'orange');
-    this.key_triggered_button('Cycle Arrow Speed', ['e'], () => this.cycle_arrow_speed(), 'green');
+    this.key_triggered_button('Cycle Arrow Speed', ['e'], () => this.send_input('cycle_speed'), 'green');
+    this.key_triggered_button('Cycle Arrow Type', ['t'], () => this.send_input('cycle_arrow'), 'green');
+    this.key_triggered_button('Cycle Bow', ['b'], () => this.send_input('cycle_bow'), 'green');
+    this.key_triggered_button('Retrieve Arrows', ['g'], () => this.send_input('retrieve'), 'green');
     this.new_line();
+    this.key_triggered_button('Start / Stop Recording', ['c'], () => this.toggle_recording(), 'crimson');
+    this.key_triggered_button('Play Last Replay', ['p'], () => this.start_playback(this.last_recording), 'purple');
+    this.key_triggered_button('Save Replay', [], () => this.save_replay(), 'teal');
+    this.key_triggered_button('Load Replay', [], () => this.load_replay(), 'teal');
+    this.new_line();
+    this.key_triggered_button('Mouse Sensitivity -', ['['], () => this.scale_mouse_sensitivity(1 / 1.25), 'gray');
+    this.key_triggered_button('Mouse Sensitivity +', [']'], () => this.scale_mouse_sensitivity(1.25), 'gray');
+    this.key_triggered_button('Invert Mouse Y', ['y'], () => this.toggle_mouse_invert(), 'gray');
+    this.key_triggered_button('Controls', ['k'], () => this.toggle_bindings_panel(), 'gray');
+    this.key_triggered_button('Play Online', ['o'], () => this.toggle_online(), 'navy');
+    this.key_triggered_button('Cycle Camera', ['v'], () => this.camera.cycle_mode(), 'gray');
+    this.key_triggered_button('Inspect Targets', ['i'], () => this.inspect_next_target(), 'gray');
+    this.new_line();
+    this.add_level_select();
+    this.add_mode_select();
+    this.add_player_select();
+    this.add_room_input();
+    this.new_line();
+    this.add_volume_controls();
+    this.new_line();
+
+    for (const [name, bindings] of Object.entries(DEFAULT_EXTRA_BINDINGS))
+      for (const binding of bindings) this.key_controls.add_default_binding(name, binding);
 
     this.live_string(box => {
-      const speed = ARROW_SPEED_PRESETS[this.arrow_speed_index];
+      const speed = ARROW_SPEED_PRESETS[sim.arrow_speed_index];
+      const mode = this.replay_player ? '   [REPLAY]' : this.recorder.active ? '   [REC]' : '';
+      const time_left = sim.time_left;
+      const player = sim.players.length > 1 ? `Player ${sim.turn + 1}'s turn   ` : '';
       box.textContent =
-        `Score: ${this.score}   Shots: ${this.shots_taken}/${this.max_shots}   ` +
-        `Streak: ${this.streak}   Weather: ${this.weather.type.toUpperCase()}   ` +
-        `Speed: ${speed}`;
+        `${sim.level.name} (${sim.mode.constructor.label})   ${player}Score: ${sim.score}   ` +
+        `Shots: ${this.shot_count()}   ` + (time_left === null ? '' : `Time: ${Math.ceil(time_left)}s   `) +
+        `Streak: ${sim.streak}   Weather: ${sim.weather.type.toUpperCase()}${sim.auto_weather ? ' (AUTO)' : ''}   ` +
+        `Speed: ${speed}   Arrow: ${sim.get_arrow_build().name}   Bow: ${sim.bow.label}   ` +
+        `Arrows ${sim.retrieve_arrows ? 'gathered' : 'left standing'} between rounds   ` +
+        `Camera: ${this.camera.mode.label}   ` +
+        `Wind: ${sim.get_wind_at(sim.get_player_origin()).norm().toFixed(1)} m/s` + mode;
+    });
+    this.live_string(box => {
+      const { sensitivity, invert_y } = this.mouse_aim;
+      const captured = this.mouse_canvas && document.pointerLockElement === this.mouse_canvas;
+      box.textContent = `Mouse: x${(sensitivity / DEFAULT_MOUSE_AIM.sensitivity).toFixed(2)}` +
+        (invert_y ? ' (inverted)' : '') +
+        (captured ? '   Aiming with the mouse (Esc to release)' : '   Click the view to aim with the mouse') +
+        (this.gamepad.connected ? '   Gamepad connected' : '') +
+        (this.net_error ? `   Online: ${this.net_error}` : '');
     });
   }
 
@@ -1731,15 +2261,19 @@ draw_arrows(caller) {
 
   render_animation(caller) {
     caller.controls = null;
+    const sim = this.sim;
+    if (!this.mouse_canvas) {
+      this.attach_mouse_aim(caller.canvas);
+      this.attach_touch_controls(caller.canvas);
+      this.attach_audio(caller.canvas);
+    }
 
-    const camera_matrix = Mat4.rotation(-this.aim_pitch, 1, 0, 0)
-      .times(Mat4.rotation(-this.aim_yaw, 0, 1, 0))
-      .times(Mat4.translation(0, -GAME_CONFIG.playerHeight, 0));
-
-    Shader.assign_camera(camera_matrix, this.uniforms);
-
+    // A scope magnifies as the bow comes to full draw.
+    const bow = sim.bow;
+    const scoped = bow.sight === 'scope' && sim.is_drawing && !this.camera.away;
+    const field_of_view = FIELD_OF_VIEW / (scoped ? 1 + (bow.scope_zoom - 1) * sim.draw_strength : 1);
     this.uniforms.projection_transform = Mat4.perspective(
-      Math.PI / 4,
+      field_of_view,
       caller.width / caller.height,
       1,
       220
@@ -1750,41 +2284,61 @@ draw_arrows(caller) {
       defs.Phong_Shader.light_source(vec4(-40, 30, -80, 1), color(0.7, 0.75, 0.9, 1), 900),
     ];
 
-    let dt = this.uniforms.animation_delta_time / 1000;
-    dt = Math.min(dt, GAME_CONFIG.dtClamp);
-
     if (this.uniforms.animate) {
-      if (this.is_drawing) this.update_aim(true, dt);
-      this.update_simulation(dt);
-      if (this.reload_timer > 0) {
-      this.reload_timer -= dt;
-    }
+      if (this.replay_player) {
+        if (!this.replay_player.step()) this.finish_playback();
+      } else {
+        // Slow motion would put an online match out of step with the other player, so it is only had offline.
+        const dt = this.uniforms.animation_delta_time / 1000;
+        const scale = this.net && this.net.playing ? 1 : this.camera.time_scale;
+        this.clock.feed(dt * scale + (this.net ? this.net.clock_nudge(dt) : 0));
+        sim.step();
+      }
     }
 
-    // Smooth per-frame aim input
-  if (this.held_keys?.['ArrowLeft'])  this.aim_yaw  += this.aim_sensitivity;
-  if (this.held_keys?.['ArrowRight']) this.aim_yaw  -= this.aim_sensitivity;
-  if (this.held_keys?.['ArrowUp'])    this.aim_pitch = Math.min(this.aim_pitch + this.aim_sensitivity, 0.45);
-  if (this.held_keys?.['ArrowDown'])  this.aim_pitch = Math.max(this.aim_pitch - this.aim_sensitivity, -0.45);
- 
+    this.apply_mouse_aim();
+    this.apply_gamepad();
+    this.apply_touch_aim();
+    const held = this.aim_held, step = sim.aim_sensitivity;
+    const d_yaw = (held.left ? step : 0) - (held.right ? step : 0);
+    const d_pitch = (held.up ? step : 0) - (held.down ? step : 0);
+    if (d_yaw || d_pitch) this.send_input('aim', d_yaw, d_pitch);
+
+    this.camera.update(this.uniforms.animate ? this.uniforms.animation_delta_time / 1000 : 0);
+    Shader.assign_camera(this.camera.get_matrix(), this.uniforms);
+    this.update_inspection();
+    this.update_sight(caller, field_of_view);
+    this.update_breath_meter();
 
     this.draw_scenery(caller);
     this.draw_targets(caller);
+    this.draw_group_marks(caller);
+    this.draw_shards(caller, this.uniforms.animate ? this.uniforms.animation_delta_time / 1000 : 0);
     this.draw_arrows(caller);
     this.draw_bow_rig(caller);
     this.draw_trajectory(caller);
-    this.weather.draw(caller, this.uniforms, this.materials.particles);
+    this.draw_weather(caller);
+    this.draw_wind_indicators(caller);
+    this.audio.update();
 
-    if (this.scoreboard_el) {
-      const paddedScore = this.score.toString().padStart(4, '0');
-      const paddedStreak = this.streak.toString().padStart(2, '0');
-      const weatherTxt = this.weather.type.toUpperCase().padEnd(5, ' ');
+    if (this.scoreboard_el && !this.results) {
+      const paddedScore = sim.score.toString().padStart(4, '0');
+      const paddedStreak = sim.streak.toString().padStart(2, '0');
+      const weatherTxt = sim.weather.type.toUpperCase().padEnd(5, ' ');
+      const time_left = sim.time_left;
 
       this.scoreboard_el.innerHTML =
+        this.online_banner() +
+        this.turn_banner() +
         `SCORE: <span style="color:#fff">${paddedScore}</span>  |  ` +
-        `SHOTS: ${this.shots_taken}/${this.max_shots}  |  ` +
+        `SHOTS: ${this.shot_count()}  |  ` +
+        (time_left === null ? '' : `TIME: <span style="color:${time_left < 10 ? '#f44' : '#fff'}">` +
+          `${Math.ceil(time_left).toString().padStart(2, '0')}</span>  |  `) +
         `STREAK: <span style="color:orange">${paddedStreak}</span>  |  ` +
-        `WEATHER: <span style="color:#0ff">${weatherTxt}</span>`;
+        `WEATHER: <span style="color:#0ff">${weatherTxt}</span>` +
+        this.cow_hit_banner() +
+        (this.replay_player ? `  |  <span style="color:#f0f">REPLAY</span>` : '') +
+        (this.recorder.active ? `  |  <span style="color:#f00">REC</span>` : '');
     }
   }
-}
\ No newline at end of file
+}
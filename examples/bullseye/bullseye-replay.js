@@ -0,0 +1,190 @@
+// bullseye-replay.js - Recording and frame-for-frame playback of Bullseye Range sessions.
+//
+// A recording is plain JSON: the simulation seed, the course, game mode and player count it was played with, the
+// length of every simulation step, and every player input tagged with the step it happened before.  Feeding the same
+// seed, steps and inputs back into a Range_Simulation reproduces the original arrow flights and score exactly.
+//
+//     {
+//       "version": 2,
+//       "seed": 1234,
+//       "level": { "id": "meadow", "targets": [...], ... },
+//       "mode": "classic",
+//       "players": 1,
+//       "steps": [0.0166, 0.0167, ...],
+//       "inputs": [ { "frame": 12, "time": 0.2, "action": "draw", "args": [] }, ... ],
+//       "result": { "score": 22, "shots_taken": 20 }
+//     }
+//
+// The version goes up whenever what a recording holds changes; files of any other version are turned away rather
+// than played back wrong.  Version 2 added the mode and player count.
+
+export const REPLAY_VERSION = 2;
+
+/* =========================
+   Replay Clock
+========================= */
+// Hands back the recorded step lengths in order, then zero once they run out.
+export class Replay_Clock {
+  constructor(steps) {
+    this.steps = steps;
+    this.index = 0;
+    this.time = 0;
+  }
+
+  get finished() {
+    return this.index >= this.steps.length;
+  }
+
+  tick() {
+    if (this.finished) return 0;
+    const dt = this.steps[this.index++];
+    this.time += dt;
+    return dt;
+  }
+}
+
+/* =========================
+   Replay Recorder
+========================= */
+export class Replay_Recorder {
+  constructor(sim) {
+    this.sim = sim;
+    this.recording = null;
+    this.active = false;
+
+    sim.on('input', e => this.record_input(e));
+    sim.on('step', e => this.record_step(e));
+  }
+
+  // Recording always begins from a freshly reset match so playback can start from the same state.
+  start() {
+    this.sim.reset();
+    this.start_frame = this.sim.frame;
+    this.time = 0;
+    this.recording = {
+      version: REPLAY_VERSION,
+      seed: this.sim.seed,
+      level: this.sim.level,
+      mode: this.sim.mode_id,
+      players: this.sim.player_count,
+      steps: [],
+      inputs: [],
+      result: null,
+    };
+    this.active = true;
+  }
+
+  stop() {
+    if (!this.active) return this.recording;
+    this.active = false;
+    this.recording.result = { score: this.sim.score, shots_taken: this.sim.shots_taken };
+    return this.recording;
+  }
+
+  record_input({ frame, action, args }) {
+    if (!this.active) return;
+    this.recording.inputs.push({ frame: frame - this.start_frame, time: this.time, action, args: [...args] });
+  }
+
+  record_step({ dt }) {
+    if (!this.active) return;
+    this.recording.steps.push(dt);
+    this.time += dt;
+  }
+}
+
+/* =========================
+   Replay Player
+========================= */
+export class Replay_Player {
+  constructor(sim, recording) {
+    Replay_Player.validate(recording);
+    this.sim = sim;
+    this.recording = recording;
+    this.active = false;
+  }
+
+  static validate(recording) {
+    if (!recording || recording.version !== REPLAY_VERSION)
+      throw new Error(`Unsupported replay version: ${recording && recording.version}`);
+    if (!Array.isArray(recording.steps) || !Array.isArray(recording.inputs))
+      throw new Error('Replay is missing its steps or inputs');
+    if (typeof recording.mode !== 'string' || !Number.isInteger(recording.players))
+      throw new Error('Replay is missing its game mode or player count');
+  }
+
+  static parse(json_text) {
+    const recording = JSON.parse(json_text);
+    Replay_Player.validate(recording);
+    return recording;
+  }
+
+  // Takes over the simulation: re-seeds it, loads the recorded course, mode and player count, and drives it from the
+  // recorded clock until stop().  Recordings without a level are played on whatever course is loaded.
+  start() {
+    const sim = this.sim;
+    this.saved = { clock: sim.clock, seed: sim.seed, mode: sim.mode_id, players: sim.player_count };
+    sim.seed = this.recording.seed;
+    sim.set_mode(this.recording.mode, false);
+    sim.set_players(this.recording.players, false);
+    if (this.recording.level) sim.load_level(this.recording.level);
+    else sim.reset();
+    sim.clock = this.clock = new Replay_Clock(this.recording.steps);
+
+    this.frame = 0;
+    this.next_input = 0;
+    this.active = true;
+  }
+
+  // The replayed match stays on show; the settings handed back take effect from the next reset.
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    const { clock, seed, mode, players } = this.saved;
+    this.sim.clock = clock;
+    this.sim.seed = seed;
+    this.sim.set_mode(mode, false);
+    this.sim.set_players(players, false);
+  }
+
+  get finished() {
+    return !this.active;
+  }
+
+  apply_inputs_through(frame) {
+    const inputs = this.recording.inputs;
+    while (this.next_input < inputs.length && inputs[this.next_input].frame <= frame) {
+      const { action, args } = inputs[this.next_input++];
+      this.sim.input(action, args);
+    }
+  }
+
+  // Replays one recorded step.  Once the steps run out, applies any trailing inputs, hands the simulation its
+  // old clock, seed, mode and player count back and returns false.
+  step() {
+    if (this.finished) return false;
+
+    if (this.clock.finished) {
+      this.apply_inputs_through(Infinity);
+      this.stop();
+      return false;
+    }
+
+    this.apply_inputs_through(this.frame);
+    this.sim.step();
+    this.frame++;
+    return true;
+  }
+
+  run_to_end() {
+    while (this.step()) {}
+    return this.sim;
+  }
+
+  // Whether the replayed match ended the way the recorded one did.
+  matches_recording() {
+    const result = this.recording.result;
+    if (!result) return true;
+    return this.sim.score === result.score && this.sim.shots_taken === result.shots_taken;
+  }
+}
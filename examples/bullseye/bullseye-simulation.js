@@ -0,0 +1,1494 @@
+// bullseye-simulation.js - The renderer-free game state of Bullseye Range.
+//
+// Everything that decides where arrows fly and what they score lives here, with no dependency on WebGL or the
+// DOM, so a whole match can be stepped from Node:
+//
+//     const sim = new Range_Simulation ({ seed: 7, clock: new Fixed_Step_Clock (1 / 60) });
+//     sim.begin_draw ();  sim.run_for (0.8);  sim.release ();  sim.run_for (3);
+//     console.log (sim.score);
+//
+// Randomness comes from a seeded generator and time from an injectable clock, so the same inputs always produce
+// the same match.
+import { math } from '../../tiny-graphics-math.js';
+import {
+  segment_vs_cylinder, radial_distance, cylinder_hit_normal, segment_vs_capsule, closest_points_on_segments,
+} from './bullseye-collision.js';
+import { DEFAULT_LEVEL, parse_level } from './bullseye-levels.js';
+import { Wind_Field, Wind_Grid } from './bullseye-wind.js';
+import { GAME_MODES, DEFAULT_MODE } from './bullseye-modes.js';
+import { BOWS, DEFAULT_BOW } from './bullseye-bows.js';
+import { Aim_Sway, SWAY } from './bullseye-sway.js';
+import {
+  Target_Motion, Target_Reaction, Target_Mount, TARGET_MOTIONS, TARGET_REACTIONS, TARGET_MOUNTS,
+} from './bullseye-targets.js';
+
+const { vec3, color, Mat4 } = math;
+
+/* =========================
+   Tunable Constants
+========================= */
+export const GAME_CONFIG = {
+  maxShots: 20,
+  shotsPerTurn: 3,             // arrows each player shoots before handing over, when several take turns
+  gravity: -15.0,
+  baseArrowSpeed: 60,
+  aimSensitivity: 0.01,
+  maxAimPitch: 0.45,
+  maxDrawStrength: 1.0,
+  drawChargeRate: 1.2,
+  drawLetDownRate: 3.0,        // how fast the draw eases off when the draw limit drops below it
+  playerHeight: 2.0,
+  arrowSpawnForward: 1.0,
+  dtClamp: 1 / 30,
+  reloadTime: 0.35,
+  maxStuckArrows: 40,          // arrows left standing in the ground, trees and posts; the oldest go first
+  groundPenetration: 0.02,     // metres an arrow sinks into the ground for each m/s it lands at
+  woodPenetration: 0.006,      // and into trees and posts
+  aimAssistDistance: 70,       // makes off-center arrow pass through the crosshair region
+
+  // Arrow flight.  The arrows on this range are drawn about four times life size, so the areas below are scaled
+  // up to match rather than taken from a real shaft.
+  airDensity: 1.225,           // kg/m^3
+  arrowLength: 3.36,           // matches the drawn shaft plus head
+  referenceArrowMass: 0.020,   // ARROW_SPEED_PRESETS are launch speeds for an arrow of this mass
+  matchedSpine: 500,           // the spine this bow shoots cleanly; others leave the rest slightly off the aim line
+  spineKick: 0.0002,           // launch yaw (radians) per unit of spine mismatch
+  flightSubsteps: 4,           // integration steps per simulation step, so fast arrows weathervane stably
+
+  weatherTransitionTime: 4,    // seconds to crossfade from one weather preset to the next
+  autoWeatherInterval: 25,     // average seconds between changes when the weather changes by itself
+  maxWeatherParticles: 30000,  // rain and snow stop spawning at this many live particles
+};
+
+export const ARROW_SPEED_PRESETS = [
+  60,
+  60 * 3,
+  60 * 5
+];
+
+// Arrow builds, cycled alongside ARROW_SPEED_PRESETS.  Heavier arrows leave the bow slower (same stored energy)
+// but shed less speed to drag and drift less in wind.  Spine is static deflection in thousandths of an inch, so
+// higher is weaker.  Areas are drag coefficient times reference area (m^2): dragArea head-on, crossDragArea side-on,
+// fletchingArea for the vanes that turn the shaft into the relative wind.  spin is roll (radians) per metre flown
+// from helical fletching; it only rolls the arrow, it does not steer it.
+export const ARROW_BUILD_PRESETS = [
+  { name: 'Carbon',    mass: 0.020, spine: 500, dragArea: 2.0e-4, crossDragArea: 6.0e-3, fletchingArea: 2.2e-3, spin: 0.9 },
+  { name: 'Aluminium', mass: 0.028, spine: 400, dragArea: 2.4e-4, crossDragArea: 7.0e-3, fletchingArea: 2.4e-3, spin: 0.6 },
+  { name: 'Cedar',     mass: 0.034, spine: 620, dragArea: 3.2e-4, crossDragArea: 9.0e-3, fletchingArea: 3.6e-3, spin: 0 },
+];
+
+export const TARGET_SCORING = [
+  { frac: 0.2, points: 10 },
+  { frac: 0.4, points: 8 },
+  { frac: 0.6, points: 6 },
+  { frac: 0.8, points: 4 },
+  { frac: 1.0, points: 2 },
+];
+
+// windStrength is the mean speed of the air in m/s at WIND_REFERENCE_HEIGHT; arrows feel it through drag.  The
+// other wind fields shape its gusts, eddies and growth with height (see Wind_Field.sample).  spawnRate is
+// particles per second; a particle's windFollow is how much of the local wind it is carried along by.
+export const WEATHER_PRESETS = {
+  clear: {
+    spawnRate: 0,
+    windStrength: 0,
+    windAngle: 0,
+    gustiness: 0,
+    gustPeriod: 4,
+    veer: 0,
+    turbulence: 0,
+    turbulenceScale: 10,
+    shear: 0.14,
+    particle: null,
+  },
+  wind: {
+    spawnRate: 120,
+    windStrength: 14.0,
+    windAngle: Math.PI * 0.7,
+    gustiness: 0.45,
+    gustPeriod: 3,
+    veer: 0.35,
+    turbulence: 0.25,
+    turbulenceScale: 12,
+    shear: 0.2,
+    particle: {
+      life: [3, 5],
+      speedX: [-1, 1],
+      speedY: [-2, -1],
+      windFollow: 1.0,
+      color: color(0.8, 0.8, 0.7, 0.3),
+      scale: vec3(0.1, 0.1, 0.1),
+    },
+  },
+  rain: {
+    spawnRate: 24000,
+    windStrength: 5.0,
+    windAngle: Math.PI * 0.3,
+    gustiness: 0.3,
+    gustPeriod: 4,
+    veer: 0.2,
+    turbulence: 0.2,
+    turbulenceScale: 10,
+    shear: 0.18,
+    particle: {
+      life: [1.0, 1.5],
+      speedX: [-1, 1],
+      speedY: [-40, -30],
+      windFollow: 0.5,
+      color: color(0.6, 0.7, 0.9, 0.6),
+      scale: vec3(0.02, 0.15, 0.02),
+    },
+  },
+  snow: {
+    spawnRate: 3000,
+    windStrength: 3.0,
+    windAngle: Math.PI * 0.85,
+    gustiness: 0.3,
+    gustPeriod: 5,
+    veer: 0.25,
+    turbulence: 0.3,
+    turbulenceScale: 8,
+    shear: 0.15,
+    particle: {
+      life: [5, 7],
+      speedX: [-1, 1],
+      speedY: [-6, -4],
+      windFollow: 1.0,
+      color: color(0.9, 0.9, 1.0, 0.8),
+      scale: vec3(0.08, 0.08, 0.08),
+    },
+  },
+};
+
+export const ARM_CONFIG = {
+  upperArmLen: 0.62,
+  foreArmLen: 0.56,
+
+  upperArmRadius: 0.11,
+  foreArmRadius: 0.10,
+  handRadius: 0.05,
+
+  // push shoulders much farther off screen
+  leftShoulderOffset: vec3(-1.05, -0.78, 1.5),
+  rightShoulderOffset: vec3( 1.12, -0.82, 1.6),
+
+  // keep bow centered in view
+  bowGripOffset: vec3(.25, -.1, 0.0),
+  bowForward: 1.55,
+
+  idleNockDistance: 0.10,
+  maxPullDistance: 0.82,
+
+  bowHalfHeight: 0.95,
+};
+
+// A capsule along local z centered at `center`, pitched nose-down by `angle` like the rotated ellipsoids in
+// draw_cow().
+const tilted_capsule = (center, half_length, angle) => {
+  const axis = vec3(0, -Math.sin(angle), Math.cos(angle)).times(half_length);
+  return [center.minus(axis), center.plus(axis)];
+};
+
+// Capsules covering the ellipsoids draw_cow() builds, in the cow's local frame (facing +z, hooves at y = 0).
+// Keep these in step with draw_cow() if the cow model changes.
+export const COW_HIT_PARTS = [
+  { part: 'body',      ends: [vec3(0, 1.55, -0.80), vec3(0, 1.55, 0.80)],             radius: 0.65 },
+  { part: 'neck',      ends: tilted_capsule(vec3(0, 1.62, 1.28), 0.14, Math.PI * 0.28), radius: 0.28 },
+  { part: 'head',      ends: tilted_capsule(vec3(0, 1.26, 1.68), 0.15, Math.PI * 0.18), radius: 0.23 },
+  { part: 'head',      ends: [vec3(-0.38, 1.46, 1.72), vec3(0.38, 1.46, 1.72)],       radius: 0.07 },  // ears
+  { part: 'snout',     ends: [vec3(0, 0.98, 1.94), vec3(0, 0.98, 1.94)],              radius: 0.15 },
+  { part: 'front_leg', ends: [vec3(-0.38, 0.05, 0.82), vec3(-0.38, 1.25, 0.82)],      radius: 0.14 },
+  { part: 'front_leg', ends: [vec3( 0.38, 0.05, 0.82), vec3( 0.38, 1.25, 0.82)],      radius: 0.14 },
+  { part: 'hind_leg',  ends: [vec3(-0.36, 0.05, -0.85), vec3(-0.36, 1.25, -0.85)],    radius: 0.14 },
+  { part: 'hind_leg',  ends: [vec3( 0.36, 0.05, -0.85), vec3( 0.36, 1.25, -0.85)],    radius: 0.14 },
+  { part: 'udder',     ends: [vec3(-0.10, 0.78, -0.42), vec3(0.10, 0.78, -0.42)],     radius: 0.20 },
+  { part: 'tail',      ends: tilted_capsule(vec3(0, 1.62, -1.40), 0.19, Math.PI * 0.15), radius: 0.05 },
+  { part: 'tail',      ends: [vec3(0, 1.38, -1.76), vec3(0, 1.38, -1.76)],            radius: 0.10 },
+];
+
+// The range's own posts, the same on every course: the fences down both sides of the lane, the flag poles on some of
+// their posts, and the wind sock's pole by the shooting line.  Arrows stick in them, so the renderer draws them from
+// these too.
+export const LANE_FENCE = { x: [-16, 16], z: [-16, -26, -36, -46, -56, -66, -76], height: 2.4, radius: 0.12 };
+export const FLAG_POLES = { z: [-26, -46, -66], height: 4.4, radius: 0.05 };
+export const WIND_SOCK_POLE = { x: -7, z: -14, height: 5.2, radius: 0.05 };
+export const STAND_RADIUS = 0.16;   // the posts targets stand on
+export const ARROW_STANDOUT = 0.45; // metres of an arrow left showing, from where it struck a target to its nock
+const TRUNK_RADIUS = 0.28;          // of a tree of scale 1, as draw_tree() draws it
+const SWAY_SEED = 0x5ca1ab1e;       // mixed into the match seed for the aim sway's own generator
+
+// How many players can take turns at one simulation.
+export const MAX_PLAYERS = 4;
+
+// Player actions understood by Range_Simulation.input(), mapped to the methods that carry them out.
+export const INPUT_ACTIONS = {
+  aim: 'adjust_aim',
+  draw: 'begin_draw',
+  draw_limit: 'set_draw_limit',
+  release: 'release',
+  cycle_weather: 'cycle_weather',
+  auto_weather: 'toggle_auto_weather',
+  cycle_speed: 'cycle_arrow_speed',
+  cycle_arrow: 'cycle_arrow_build',
+  cycle_bow: 'cycle_bow',
+  hold_breath: 'hold_breath',
+  breathe: 'let_breath_out',
+  retrieve: 'toggle_arrow_retrieval',
+  reset: 'reset',
+  // From the other player in a networked match (see bullseye-net.js):
+  remote_shot: 'add_remote_arrow',
+  remote_hit: 'place_remote_arrow',
+  set_weather: 'set_weather',
+};
+
+/* =========================
+   Seeded Random Numbers
+========================= */
+export class Seeded_Random {
+  // mulberry32: tiny, fast, and good enough for gameplay jitter.
+  constructor(seed = 1) {
+    this.state = seed >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+}
+
+/* =========================
+   Clocks
+========================= */
+// A clock hands the simulation one time step (in seconds) per tick().
+
+// Advances by the same amount every tick; what headless runs use.
+export class Fixed_Step_Clock {
+  constructor(step = 1 / 60) {
+    this.step = step;
+    this.time = 0;
+  }
+
+  tick() {
+    this.time += this.step;
+    return this.step;
+  }
+}
+
+// Advances by whatever the renderer measured for the last frame.
+export class Frame_Clock {
+  constructor(max_step = GAME_CONFIG.dtClamp) {
+    this.max_step = max_step;
+    this.pending = 0;
+    this.time = 0;
+  }
+
+  feed(seconds) {
+    this.pending = Math.min(Math.max(seconds, 0), this.max_step);
+  }
+
+  tick() {
+    const dt = this.pending;
+    this.pending = 0;
+    this.time += dt;
+    return dt;
+  }
+}
+
+/* =========================
+   Weather System
+========================= */
+// Box (and grid spacing, m) over which weather particles read the wind; it covers where they spawn plus room to drift.
+const PARTICLE_WIND_GRID = { min: [-45, -5, -110], max: [45, 26, -5], spacing: 8 };
+
+// Numeric wind settings that are mixed by weight while one preset fades into another.
+const BLENDED_WIND_SETTINGS = ['windStrength', 'gustiness', 'gustPeriod', 'veer', 'turbulence', 'turbulenceScale', 'shear'];
+
+// `type` is the weather being headed for.  Changing it doesn't snap: `weights` fades the old presets out and the
+// new one in over `transition_time` seconds, and the wind, particle spawning and the renderer's sky all follow
+// the weights.
+export class WeatherSystem {
+  constructor(rng, initial_type = 'clear', transition_time = GAME_CONFIG.weatherTransitionTime) {
+    this.rng = rng;
+    this.wind_field = new Wind_Field(rng);
+    this.particle_wind = new Wind_Grid(PARTICLE_WIND_GRID.min, PARTICLE_WIND_GRID.max, PARTICLE_WIND_GRID.spacing);
+    this.time = 0;
+    this.transition_time = transition_time;
+    this.particles = [];
+    this.max_particles = GAME_CONFIG.maxWeatherParticles;
+    this.weather_types = ['clear', 'wind', 'rain', 'snow'];
+    this.current_index = 0;
+    this.weights = Object.fromEntries(this.weather_types.map(type => [type, 0]));
+    this.spawn_debt = Object.fromEntries(this.weather_types.map(type => [type, 0]));
+    this.set_type(initial_type, true);
+  }
+
+  get type() {
+    return this.weather_types[this.current_index];
+  }
+
+  get preset() {
+    return WEATHER_PRESETS[this.type];
+  }
+
+  get transitioning() {
+    return this.weights[this.type] < 1;
+  }
+
+  cycle_type() {
+    this.set_type(this.weather_types[(this.current_index + 1) % this.weather_types.length]);
+  }
+
+  // immediate skips the crossfade, for the weather a match starts in.
+  set_type(type, immediate = false) {
+    const index = this.weather_types.indexOf(type);
+    if (index < 0) throw new Error(`Unknown weather type "${type}"`);
+    this.current_index = index;
+    if (immediate)
+      for (const t of this.weather_types) this.weights[t] = t === type ? 1 : 0;
+    this.blend_params();
+  }
+
+  // Every other preset fades out at the same rate; the one being headed for takes up the difference.
+  update_blend(dt) {
+    const fade = this.transition_time > 0 ? dt / this.transition_time : 1;
+    let others = 0;
+    for (const t of this.weather_types) {
+      if (t === this.type) continue;
+      this.weights[t] = Math.max(0, this.weights[t] - fade);
+      others += this.weights[t];
+    }
+    this.weights[this.type] = 1 - others;
+    this.blend_params();
+  }
+
+  // Wind settings for the current mix.  Direction is mixed as a vector, so the wind swings round rather than
+  // jumping, and a still preset (clear) doesn't drag the angle anywhere.
+  blend_params() {
+    const params = Object.fromEntries(BLENDED_WIND_SETTINGS.map(key => [key, 0]));
+    let dx = 0, dz = 0;
+    for (const t of this.weather_types) {
+      const w = this.weights[t];
+      if (!w) continue;
+      const preset = WEATHER_PRESETS[t];
+      for (const key of BLENDED_WIND_SETTINGS) params[key] += w * preset[key];
+      dx += w * preset.windStrength * Math.cos(preset.windAngle);
+      dz += w * preset.windStrength * Math.sin(preset.windAngle);
+    }
+    params.windAngle = dx || dz ? Math.atan2(dz, dx) : this.preset.windAngle;
+    this.params = params;
+  }
+
+  // Air velocity at a point; time defaults to now, but can be ahead of it for predictions.
+  wind_at(pos, time = this.time) {
+    return this.wind_field.sample(pos, time, this.params);
+  }
+
+  spawn_particle(type) {
+    const p = WEATHER_PRESETS[type].particle;
+    if (!p || this.particles.length >= this.max_particles) return;
+
+    const base_pos = vec3(
+      this.rng.range(-35, 35),
+      this.rng.range(14, 24),
+      this.rng.range(-100, -15)
+    );
+
+    const velocity = vec3(
+      this.rng.range(p.speedX[0], p.speedX[1]),
+      this.rng.range(p.speedY[0], p.speedY[1]),
+      0
+    );
+
+    this.particles.push({
+      pos: base_pos,
+      vel: velocity,
+      motion: vec3(0, 0, 0),
+      life: this.rng.range(p.life[0], p.life[1]),
+      age: 0,
+      color: p.color,
+      scale: p.scale,
+      wind_follow: p.windFollow,
+    });
+  }
+
+  update(dt) {
+    this.time += dt;
+    this.update_blend(dt);
+
+    // Each preset spawns in proportion to its weight; fractions carry over so light mixes still spawn.
+    for (const type of this.weather_types) {
+      this.spawn_debt[type] += WEATHER_PRESETS[type].spawnRate * this.weights[type] * dt;
+      for (; this.spawn_debt[type] >= 1; this.spawn_debt[type]--) this.spawn_particle(type);
+    }
+
+    if (!this.particles.length) return;
+
+    // There can be tens of thousands of particles, so they read the wind from a grid sampled once per step, and
+    // are moved in place.  motion is kept for the renderer, which stretches each particle along it.
+    this.particle_wind.fill(pos => this.wind_at(pos));
+    let kept = 0;
+    for (const p of this.particles) {
+      p.age += dt;
+      if (p.age > p.life) continue;
+
+      const { pos, motion } = p;
+      this.particle_wind.sample_into(pos[0], pos[1], pos[2], motion);
+      for (let i = 0; i < 3; i++) {
+        motion[i] = p.vel[i] + motion[i] * p.wind_follow;
+        pos[i] += motion[i] * dt;
+      }
+      if (pos[1] < -5) continue;
+
+      this.particles[kept++] = p;
+    }
+    this.particles.length = kept;
+  }
+}
+
+/* =========================
+   Target
+========================= */
+// The target face is a disc in the target's local xy plane, facing local +z, `depth` thick.
+// options: yaw / pitch / roll in radians, turn_rate (radians per second about the vertical axis), and the motion,
+// reaction and mount (see bullseye-targets.js); without those it stands still and takes hits without moving.
+export class Target {
+  constructor(center, radius, depth, options = {}) {
+    this.base_center = center;
+    this.radius = radius;
+    this.depth = depth;
+    this.yaw = options.yaw || 0;
+    this.pitch = options.pitch || 0;
+    this.roll = options.roll || 0;
+    this.turn_rate = options.turn_rate || 0;
+    this.motion = options.motion || new Target_Motion();
+    this.reaction = options.reaction || new Target_Reaction();
+    this.mount = options.mount || new Target_Mount();
+    this.time = 0;
+    this.prev_time = 0;
+  }
+
+  update(dt) {
+    this.prev_time = this.time;
+    this.time += dt;
+  }
+
+  // What the mount turns the target about.
+  get_pivot(time = this.time) {
+    const center = this.base_center.plus(this.motion.offset(time));
+    return this.mount.pivot({ center, base: this.base_center, anchor: this.motion.anchor(time) });
+  }
+
+  get_center(time = this.time) {
+    const center = this.base_center.plus(this.motion.offset(time)).plus(this.reaction.offset(time));
+    const pivot = this.get_pivot(time);
+    return pivot.plus(this.mount.rotation(time).times(center.minus(pivot).to4(0)).to3());
+  }
+
+  get_rotation(time = this.time) {
+    return this.mount.rotation(time)
+      .times(this.motion.rotation(time))
+      .times(this.reaction.rotation(time))
+      .times(Mat4.rotation(this.yaw + this.turn_rate * time, 0, 1, 0))
+      .times(Mat4.rotation(this.pitch, 1, 0, 0))
+      .times(Mat4.rotation(this.roll, 0, 0, 1));
+  }
+
+  get_transform(time = this.time) {
+    return Mat4.translation(...this.get_center(time)).times(this.get_rotation(time));
+  }
+
+  to_local(point, time = this.time) {
+    const offset = point.minus(this.get_center(time));
+    return this.get_rotation(time).transposed().times(offset.to4(0)).to3();
+  }
+
+  to_world(local_point, time = this.time) {
+    return this.get_transform(time).times(local_point.to4(1)).to3();
+  }
+
+  direction_to_world(local_dir, time = this.time) {
+    return this.get_rotation(time).times(local_dir.to4(0)).to3();
+  }
+
+  direction_to_local(dir, time = this.time) {
+    return this.get_rotation(time).transposed().times(dir.to4(0)).to3();
+  }
+
+  // Sunk pop-ups, shattered clay and toppled stands can't be hit.
+  is_hittable(time = this.time) {
+    return this.motion.raised(time) > 0 && !this.reaction.broken(time) && !this.mount.down(time);
+  }
+
+  get breaks() {
+    return this.reaction.breaks;
+  }
+
+  // Where a hanging target's rope is tied, or null.
+  get_anchor(time = this.time) {
+    return this.mount.hangs ? this.get_pivot(time) : this.motion.anchor(time);
+  }
+
+  // Let the reaction know about a hit at `point` (in the target's frame) by an arrow heading along world `dir`, and
+  // the mount about the arrow's momentum, `impulse`, if it stopped here.
+  react(point, dir, impulse = null) {
+    if (impulse) this.push(this.to_world(point), impulse);
+    this.reaction.hit({ point, dir, radius: this.radius, time: this.time });
+  }
+
+  // Push the target through its mount with momentum `impulse` at world `point`, on the face or its stand.
+  push(point, impulse) {
+    this.mount.hit({ point, impulse, center: this.get_center(), pivot: this.get_pivot(), time: this.time });
+  }
+
+  // The post the target stands on, from its foot to the target's center, or null if it hangs.
+  get_stand(time = this.time) {
+    return this.mount.hangs ? null : { a: this.get_pivot(time), b: this.get_center(time), radius: STAND_RADIUS };
+  }
+
+  // Sweep an arrow's last step against the target's full transform.  Both ends of the segment are taken into
+  // the target's frame at their own moment, so the target's own motion during the step is accounted for.
+  intersect_segment(p0, p1) {
+    if (!this.is_hittable()) return null;
+    const local0 = this.to_local(p0, this.prev_time);
+    const local1 = this.to_local(p1, this.time);
+    const half = this.depth / 2;
+    return segment_vs_cylinder(local0, local1, this.radius, -half, half);
+  }
+}
+
+/* =========================
+   Arrow Projectile
+========================= */
+// pos is the nock end.  dir is where the shaft points, which lags behind the flight path: drag acts along the
+// air-relative velocity, strongest when the shaft is side-on, and the fletching turns the shaft back into line.
+export class Arrow {
+  constructor(position, velocity, build = ARROW_BUILD_PRESETS[0], dir = velocity.normalized()) {
+    this.pos = position;
+    this.prev_pos = position;
+    this.vel = velocity;
+    this.build = build;
+    this.dir = dir.normalized();
+    this.angular_vel = vec3(0, 0, 0);   // pitch/yaw rate of the shaft, rad/s
+    this.roll = 0;
+    this.spin_rate = 0;
+    this.alive = true;
+    this.stuck = false;
+    this.stuck_dir = null;
+    this.stuck_target_index = null;
+    this.stuck_offset = null;       // in the stuck target's local frame
+    this.stuck_local_dir = null;    // and the shaft's direction in it, so it turns with the target
+    this.stuck_in = null;           // 'target', 'stand', 'ground', 'tree' or 'post'
+  }
+
+  // air: { time, gravity, wind(pos, time) giving the air velocity, density, length, substeps }
+  update(dt, air) {
+    if (!this.alive || this.stuck) return;
+
+    this.prev_pos = this.pos;
+    const h = dt / air.substeps;
+    for (let i = 0; i < air.substeps; i++) this.integrate(h, air, air.time + i * h);
+
+    // Arrows stick in the ground (see Range_Simulation.resolve_arrow_scenery_collisions), so one this far below
+    // it has left the world.
+    if (this.pos[1] < -20) this.alive = false;
+  }
+
+  integrate(h, { gravity, wind, density, length }, time) {
+    const { mass, dragArea, crossDragArea, fletchingArea, spin } = this.build;
+    const rel = this.vel.minus(wind(this.pos, time));
+    const speed = rel.norm();
+    let accel = vec3(0, gravity, 0);
+
+    if (speed > 1e-6) {
+      const flow = rel.times(1 / speed);
+      const q = 0.5 * density * speed * speed;
+      const misalignment = this.dir.cross(flow);                 // |sin| of the angle of attack
+      const sin2 = misalignment.dot(misalignment);
+
+      accel = accel.minus(flow.times(q * (dragArea + crossDragArea * sin2) / mass));
+
+      // Fletching sits near the tail, about 0.4 of a length behind the centre of mass.  It pushes the shaft toward
+      // the flow, and resists turning because a rotating tail sweeps sideways through the air.
+      const arm = 0.4 * length;
+      const inertia = mass * length * length / 12;
+      const restoring = misalignment.times(q * fletchingArea * arm / inertia);
+      const damping = this.angular_vel.times(0.5 * density * speed * fletchingArea * arm * arm / inertia);
+      this.angular_vel = this.angular_vel.plus(restoring.minus(damping).times(h));
+      this.angular_vel = this.angular_vel.minus(this.dir.times(this.angular_vel.dot(this.dir)));
+
+      this.spin_rate += (spin * speed - this.spin_rate) * Math.min(1, 8 * h);
+    }
+
+    this.dir = this.dir.plus(this.angular_vel.cross(this.dir).times(h)).normalized();
+    this.roll += this.spin_rate * h;
+    this.vel = this.vel.plus(accel.times(h));
+    this.pos = this.pos.plus(this.vel.times(h));
+  }
+
+  get_direction() {
+    if (this.stuck && this.stuck_dir) return this.stuck_dir;
+    return this.dir;
+  }
+}
+
+/* =========================
+   Range Simulation
+========================= */
+// One setting for a round's summary from every value it was shot with: the one value, 'mixed' if there were
+// several, or `current` if nothing was shot.
+function round_condition(seen, current) {
+  return seen.size > 1 ? 'mixed' : seen.size ? [...seen][0] : current;
+}
+
+export class Range_Simulation {
+  // options: seed (number), clock (anything with tick() returning seconds), level (see bullseye-levels.js),
+  // mode (a key of GAME_MODES, see bullseye-modes.js) and players (how many take turns, up to MAX_PLAYERS).
+  constructor({
+    seed = 1, clock = new Fixed_Step_Clock(), level = DEFAULT_LEVEL, mode = DEFAULT_MODE, players = 1,
+  } = {}) {
+    this.seed = seed;
+    this.clock = clock;
+    this.listeners = {};
+    this.frame = 0;             // steps taken over the simulation's whole life; reset() leaves it alone
+    this.retrieve_arrows = true;    // whether a new round starts with the arrows gathered up
+    this.arrows = [];
+    this.set_mode(mode, false);
+    this.set_players(players, false);
+    this.load_level(level);
+  }
+
+  // Change how many players share the bow.  Like set_mode(), this starts a new match unless `restart` is false.
+  set_players(count, restart = true) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PLAYERS)
+      throw new Error(`Player count must be a whole number from 1 to ${MAX_PLAYERS}, not ${count}`);
+    this.player_count = count;
+    if (restart) this.reset();
+  }
+
+  // Play by another mode's rules.  The new rules take effect from the next reset(), which happens straight away
+  // unless `restart` is false.
+  set_mode(mode_id, restart = true) {
+    if (!(mode_id in GAME_MODES)) throw new Error(`Unknown game mode "${mode_id}"`);
+    this.mode_id = mode_id;
+    if (restart) this.reset();
+  }
+
+  // Switch courses and start a fresh match on it.  Throws if the level does not parse or names settings
+  // this simulation does not have.
+  load_level(level_data) {
+    const level = parse_level(level_data);
+
+    for (const key of Object.keys(level.config))
+      if (!(key in GAME_CONFIG)) throw new Error(`Level "${level.id}": unknown config setting "${key}"`);
+    for (const type of [level.weather.initial, ...level.weather.schedule.map(e => e.type)])
+      if (!(type in WEATHER_PRESETS)) throw new Error(`Level "${level.id}": unknown weather type "${type}"`);
+
+    this.level = level;
+    this.reset();
+  }
+
+  // Subscribe to game events: 'shot', 'target_hit', 'target_break', 'miss', 'embed', 'cow_hit', 'turn_change',
+  // 'weather_change', 'round_end', 'reset', 'input' and 'step'.
+  on(event_name, callback) {
+    (this.listeners[event_name] ||= []).push(callback);
+    return this;
+  }
+
+  off(event_name, callback) {
+    const list = this.listeners[event_name];
+    if (list) this.listeners[event_name] = list.filter(c => c !== callback);
+    return this;
+  }
+
+  emit(event_name, payload) {
+    for (const callback of this.listeners[event_name] || []) callback(payload);
+  }
+
+  reset() {
+    const level = this.level;
+    this.rng = new Seeded_Random(this.seed);
+    this.time = 0;
+    this.config = { ...GAME_CONFIG, ...level.config, maxShots: level.shotLimit };
+    this.scoring = level.scoring || TARGET_SCORING;
+
+    this.players = Array.from({ length: this.player_count }, (_, index) => {
+      const player = { index, score: 0, streak: 0, shots_taken: 0 };
+      player.mode = new GAME_MODES[this.mode_id](this, player);
+      return player;
+    });
+    this.turn = 0;
+    this.turn_shots = 0;
+
+    this.arrow_speed_index = 0;
+    this.arrow_build_index = 0;
+    this.bow = new BOWS[DEFAULT_BOW]();
+    this.max_shots = this.mode.shot_limit();
+    this.reload_timer = 0;
+    this.shot_weather = new Set();  // every weather type an arrow was loosed in this round
+    this.shot_bows = new Set();     // and every bow
+    this.shot_speeds = new Set();   // and every arrow speed preset
+
+    this.aim_yaw = 0;
+    this.aim_pitch = 0;
+    this.aim_sensitivity = this.config.aimSensitivity;
+
+    this.is_drawing = false;
+    this.draw_strength = 0;
+    this.max_draw_strength = this.config.maxDrawStrength;
+    this.draw_limit = 1;
+    this.hold_time = 0;             // seconds the current draw has been held where it stopped
+    this.draw_time = 0;             // and since it began
+    this.sway = new Aim_Sway(new Seeded_Random(this.seed ^ SWAY_SEED));
+
+    this.arrows = this.arrows_left_over(level);
+    this.next_arrow_id = 0;
+    this.gravity = this.config.gravity;
+
+    this.weather = new WeatherSystem(this.rng, level.weather.initial, this.config.weatherTransitionTime);
+    this.weather_schedule_index = 0;
+    this.auto_weather = level.weather.auto;
+    this.next_auto_weather = this.config.autoWeatherInterval;
+
+    const moving = this.mode.targets_move();
+    this.targets = level.targets.map(t => {
+      const { type: motion_type, ...motion } = t.motion;
+      const { type: reaction_type, ...reaction } = t.reaction;
+      const { type: mount_type, ...mount } = t.mount;
+      return new Target(vec3(...t.center), t.radius, t.depth, {
+        yaw: t.yaw, pitch: t.pitch, roll: t.roll, turn_rate: moving ? t.turnRate : 0,
+        motion: moving ? new TARGET_MOTIONS[motion_type](motion, t) : new Target_Motion(),
+        reaction: new TARGET_REACTIONS[reaction_type](reaction),
+        mount: moving ? new TARGET_MOUNTS[mount_type](mount) : new Target_Mount(),
+      });
+    });
+    this.target_centers = this.targets.map(t => t.get_center());
+
+    this.cows = level.obstacles.filter(o => o.type === 'cow').map(c => this.place_cow(c));
+    this.last_cow_hit = null;
+    this.posts = this.place_posts(level);
+
+    this.round_over = false;
+    this.emit('reset', { level_id: level.id, mode: this.mode_id });
+  }
+
+  // The player whose turn it is.  score, streak, shots_taken and mode always read and write theirs.
+  get player() {
+    return this.players[this.turn];
+  }
+
+  get mode() {
+    return this.player.mode;
+  }
+
+  get score() {
+    return this.player.score;
+  }
+
+  set score(value) {
+    this.player.score = value;
+  }
+
+  get streak() {
+    return this.player.streak;
+  }
+
+  set streak(value) {
+    this.player.streak = value;
+  }
+
+  get shots_taken() {
+    return this.player.shots_taken;
+  }
+
+  set shots_taken(value) {
+    this.player.shots_taken = value;
+  }
+
+  // Arrows a player shoots before handing the bow on.  Alone, the whole match is one turn.
+  get turn_shot_limit() {
+    return this.players.length > 1 ? this.config.shotsPerTurn : Infinity;
+  }
+
+  // Carry the cow's hit capsules into world space once; cows stand still.
+  place_cow({ x, z, yaw }) {
+    const c = Math.cos(yaw), s = Math.sin(yaw);
+    const to_world = p => vec3(x + c * p[0] + s * p[2], p[1], z - s * p[0] + c * p[2]);
+
+    return {
+      x, z, yaw,
+      bound_center: vec3(x, 1.2, z),
+      bound_radius: 2.4,
+      parts: COW_HIT_PARTS.map(({ part, ends, radius }) => ({ part, a: to_world(ends[0]), b: to_world(ends[1]), radius })),
+    };
+  }
+
+  // Tree trunks and the range's posts, as upright capsules from the ground.
+  place_posts(level) {
+    const post = (x, z, height, radius, surface) => ({ a: vec3(x, 0, z), b: vec3(x, height, z), radius, surface });
+    return [
+      ...level.scenery.trees.map(t => post(t.x, t.z, t.h, TRUNK_RADIUS * t.s, 'tree')),
+      ...LANE_FENCE.x.flatMap(x => LANE_FENCE.z.map(z => post(x, z, LANE_FENCE.height, LANE_FENCE.radius, 'post'))),
+      ...LANE_FENCE.x.flatMap(x => FLAG_POLES.z.map(z => post(x, z, FLAG_POLES.height, FLAG_POLES.radius, 'post'))),
+      post(WIND_SOCK_POLE.x, WIND_SOCK_POLE.z, WIND_SOCK_POLE.height, WIND_SOCK_POLE.radius, 'post'),
+    ];
+  }
+
+  // Which arrows a new round starts with: none if they are being retrieved, otherwise those still stuck in the
+  // ground, trees and posts of the same course.  Arrows in targets always go, since the targets are set up afresh.
+  // Left-over arrows belong to no shot of the new round.
+  arrows_left_over(level) {
+    if (this.retrieve_arrows || level !== this.arrows_level) {
+      this.arrows_level = level;
+      return [];
+    }
+    return this.arrows
+      .filter(a => a.stuck && a.stuck_target_index === null)
+      .map(a => Object.assign(a, { id: null, remote: false }));
+  }
+
+  toggle_arrow_retrieval() {
+    this.retrieve_arrows = !this.retrieve_arrows;
+  }
+
+  /* ---------- Helpers ---------- */
+
+  clamp(x, lo, hi) {
+    return Math.max(lo, Math.min(hi, x));
+  }
+
+  get_wind_at(pos, time = this.time) {
+    return this.weather.wind_at(pos, time);
+  }
+
+  // Where the bow really points: the player's aim, plus however far the archer's sway has taken it.  The view, the
+  // trajectory preview and the shot all follow this rather than aim_yaw and aim_pitch alone.
+  get_aim_angles() {
+    const sway = this.sway.offset(this.time);
+    return { yaw: this.aim_yaw + sway.yaw, pitch: this.aim_pitch + sway.pitch };
+  }
+
+  // 0 for a still day to 1 for the worst: wind at the shooting line, and wet or cold hands.
+  weather_severity() {
+    const { rain, snow } = this.weather.weights;
+    const wind = this.get_wind_at(this.get_player_origin()).norm() / SWAY.severe_wind;
+    return Math.min(1, wind + 0.3 * rain + 0.5 * snow);
+  }
+
+  // Aim_Sway's state changes as the match steps, so the sway only moves with the clock; see bullseye-sway.js.
+  update_sway(dt) {
+    if (this.is_drawing) this.draw_time += dt;
+    this.sway.update(dt, {
+      drawing: this.is_drawing, draw_time: this.draw_time, severity: this.weather_severity(),
+      tremble: this.is_drawing ? this.bow.max_sway * this.bow.fatigue(this.hold_time) : 0,
+    });
+  }
+
+  hold_breath() {
+    return this.sway.hold_breath();
+  }
+
+  let_breath_out() {
+    this.sway.let_breath_out();
+  }
+
+  current_aim_direction() {
+    const { yaw, pitch } = this.get_aim_angles();
+    const cy = Math.cos(yaw), sy = Math.sin(yaw);
+    const cp = Math.cos(pitch), sp = Math.sin(pitch);
+    return vec3(-sy * cp, sp, -cy * cp).normalized();
+  }
+
+  get_player_origin() {
+    return vec3(0, this.config.playerHeight, 0);
+  }
+
+  get_view_axes(dir) {
+    const forward = dir.normalized();
+    let upHint = vec3(0, 1, 0);
+
+    if (Math.abs(forward.dot(upHint)) > 0.995) {
+      upHint = vec3(1, 0, 0);
+    }
+
+    let right = forward.cross(upHint);
+    if (right.norm() < 1e-5) right = vec3(1, 0, 0);
+    right = right.normalized();
+
+    const up = right.cross(forward).normalized();
+
+    return { forward, right, up };
+  }
+
+  offset_in_view_space(base, axes, offset) {
+    return base
+      .plus(axes.right.times(offset[0]))
+      .plus(axes.up.times(offset[1]))
+      .plus(axes.forward.times(offset[2]));
+  }
+
+  // Where the bow and the nocked arrow sit for the current aim and draw, or for another `dir` and `draw`.  How far
+  // the string comes back for a full draw depends on the bow.
+  get_bow_setup({ dir = this.current_aim_direction(), draw = this.draw_strength } = {}) {
+    const origin = this.get_player_origin();
+    const axes = this.get_view_axes(dir);
+
+    const bowGrip = this.offset_in_view_space(
+      origin.plus(dir.times(ARM_CONFIG.bowForward)),
+      axes,
+      ARM_CONFIG.bowGripOffset
+    );
+
+    const drawDist = ARM_CONFIG.idleNockDistance + draw * ARM_CONFIG.maxPullDistance * this.bow.draw_length;
+    const nockPos = bowGrip.minus(dir.times(drawDist));
+
+    return { dir, origin, axes, bowGrip, nockPos };
+  }
+
+  get_arrow_build() {
+    return ARROW_BUILD_PRESETS[this.arrow_build_index];
+  }
+
+  // The bow stores the same energy whatever it shoots, so launch speed falls with the square root of arrow mass.
+  // Speed also goes with the square root of the energy stored by the draw so far, which for the recurve's even
+  // draw is simply the draw.
+  compute_arrow_speed(draw = this.draw_strength) {
+    const base = ARROW_SPEED_PRESETS[this.arrow_speed_index] * this.bow.efficiency;
+    const mass_factor = Math.sqrt(this.config.referenceArrowMass / this.get_arrow_build().mass);
+    return base * mass_factor * (0.2 + 0.8 * Math.sqrt(this.bow.energy(draw)));
+  }
+
+  cycle_arrow_speed() {
+    this.arrow_speed_index =
+      (this.arrow_speed_index + 1) % ARROW_SPEED_PRESETS.length;
+  }
+
+  cycle_arrow_build() {
+    this.arrow_build_index = (this.arrow_build_index + 1) % ARROW_BUILD_PRESETS.length;
+  }
+
+  // Changing bows lets down any draw in progress.
+  cycle_bow() {
+    const ids = Object.keys(BOWS);
+    this.bow = new BOWS[ids[(ids.indexOf(this.bow.constructor.id) + 1) % ids.length]]();
+    this.is_drawing = false;
+    this.draw_strength = 0;
+    this.hold_time = 0;
+  }
+
+  // Everything Arrow.update() needs to know about the air it flies through, starting at `time`.
+  get_flight_conditions(time = this.time) {
+    return {
+      time,
+      gravity: this.gravity,
+      wind: (pos, t) => this.get_wind_at(pos, t),
+      density: this.config.airDensity,
+      length: this.config.arrowLength,
+      substeps: this.config.flightSubsteps,
+    };
+  }
+
+  cycle_weather() {
+    this.weather.cycle_type();
+    this.emit('weather_change', { type: this.weather.type, scheduled: false });
+  }
+
+  set_weather(type) {
+    if (type === this.weather.type) return;
+    this.weather.set_type(type);
+    this.emit('weather_change', { type, scheduled: false });
+  }
+
+  // What a hit `frac` of the way out to the rim of `target` is worth; the game mode decides.
+  score_for_radius_fraction(frac, target) {
+    return this.mode.score_for_radius_fraction(frac, target);
+  }
+
+  // Rings are only painted on the front, so a back-face hit sticks but scores nothing; a hit on the rim counts
+  // as the outermost ring.
+  score_for_target_hit(target, hit) {
+    if (hit.face === 'back') return 0;
+    if (hit.face === 'edge') return this.score_for_radius_fraction(1.0, target);
+    return this.score_for_radius_fraction(radial_distance(hit.point) / target.radius, target);
+  }
+
+  // The arrow leaves along the look direction; wind only acts on it in flight.  A spine that doesn't match the bow
+  // flexes the shaft around the riser, so it leaves yawed off that line and wobbles until the fletching settles it.
+  // `aim` overrides the aim direction and draw, as for get_bow_setup().
+  get_shot_state(aim = {}) {
+    const setup = this.get_bow_setup(aim);
+    const speed = this.compute_arrow_speed(aim.draw);
+    const build = this.get_arrow_build();
+
+    const shotDir = setup.dir.normalized();
+    const velocity = shotDir.times(speed);
+    const kick = (build.spine - this.config.matchedSpine) * this.config.spineKick;
+    const arrowDir = shotDir.plus(setup.axes.right.times(-Math.tan(kick))).normalized();
+
+    return {
+      start: setup.nockPos,
+      velocity,
+      aimDir: shotDir,
+      arrowDir,
+      build,
+    };
+  }
+
+  // Where the arrow would go if released now, ignoring targets: up to `count` points `interval` seconds apart.
+  predict_flight(interval = 0.075, count = 28) {
+    const shot = this.get_shot_state();
+    const arrow = new Arrow(shot.start, shot.velocity, shot.build, shot.arrowDir);
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      arrow.update(interval, this.get_flight_conditions(this.time + i * interval));
+      if (!arrow.alive) break;
+      points.push(arrow.pos);
+    }
+    return points;
+  }
+
+  // How far below the line of sight (radians) to hold for an arrow loosed at full draw in still air to land level
+  // with the eye `distance` metres away: where the sight pin for that distance goes.  Null if it falls short.
+  sight_pin_angle(distance) {
+    const shot = this.get_shot_state({ dir: vec3(0, 0, -1), draw: 1 });
+    const arrow = new Arrow(shot.start, shot.velocity, shot.build, shot.arrowDir);
+    const air = { ...this.get_flight_conditions(), wind: () => vec3(0, 0, 0) };
+    const eye = this.get_player_origin()[1], dt = 1 / 240;
+    for (let t = 0; t < 5 && arrow.pos[1] > -10; t += dt) {
+      const before = arrow.pos;
+      arrow.update(dt, { ...air, time: t });
+      if (-arrow.pos[2] < distance) continue;
+      const f = (distance + before[2]) / (before[2] - arrow.pos[2]);
+      const height = before[1] + (arrow.pos[1] - before[1]) * f;
+      return Math.atan2(eye - height, distance);
+    }
+    return null;
+  }
+
+  /* ---------- Player Input ---------- */
+
+  // Apply one named player action (see INPUT_ACTIONS). Front ends should go through here rather than calling
+  // the methods directly, so that replays see every input.
+  input(action, args = []) {
+    const method = INPUT_ACTIONS[action];
+    if (!method) throw new Error(`Unknown input action "${action}"`);
+
+    this.emit('input', { frame: this.frame, action, args });
+    return this[method](...args);
+  }
+
+  adjust_aim(d_yaw, d_pitch) {
+    this.aim_yaw += d_yaw;
+    this.aim_pitch = this.clamp(this.aim_pitch + d_pitch, -this.config.maxAimPitch, this.config.maxAimPitch);
+  }
+
+  // How far the bow may be drawn, as a fraction of max_draw_strength.  Analog input (a gamepad trigger) sets it
+  // from how hard it is pressed; digital input leaves it at 1.
+  set_draw_limit(fraction) {
+    this.draw_limit = this.clamp(fraction, 0, 1);
+  }
+
+  can_shoot() {
+    return this.shots_taken < this.max_shots && this.turn_shots < this.turn_shot_limit && !this.mode.end_reason();
+  }
+
+  // Seconds left on the match clock, or null when the mode has no clock.
+  get time_left() {
+    const limit = this.mode.time_limit();
+    return limit === null ? null : Math.max(0, limit - this.mode.elapsed);
+  }
+
+  begin_draw() {
+    if (this.is_drawing || !this.can_shoot()) return false;
+    this.is_drawing = true;
+    this.draw_strength = 0;
+    this.hold_time = 0;
+    this.draw_time = 0;
+    return true;
+  }
+
+  release() {
+    if (!this.is_drawing) return false;
+    this.spawn_arrow();
+    this.is_drawing = false;
+    this.draw_strength = 0;
+    this.hold_time = 0;
+    return true;
+  }
+
+  /* ---------- Gameplay ---------- */
+
+  spawn_arrow() {
+    if (!this.can_shoot()) return;
+
+    const shot = this.get_shot_state();
+    const arrow = new Arrow(shot.start, shot.velocity, shot.build, shot.arrowDir);
+    arrow.player = this.turn;
+    arrow.id = this.next_arrow_id++;
+    this.arrows.push(arrow);
+    this.shots_taken++;
+    this.turn_shots++;
+    this.reload_timer = this.config.reloadTime;
+    this.shot_weather.add(this.weather.type);
+    this.shot_bows.add(this.bow.constructor.id);
+    this.shot_speeds.add(ARROW_SPEED_PRESETS[this.arrow_speed_index]);
+    this.emit('shot', { arrow, time: this.time, build_index: this.arrow_build_index });
+  }
+
+  // An arrow the other player in a networked match shot at `time` on the shared match clock.  It flies here as well
+  // so both players see it, but it scores nothing here: its owner reports where it ended up with remote_hit.
+  // Plain arrays rather than vectors, since this arrives over the network and goes into replays.
+  add_remote_arrow({ id, player, time, start, velocity, dir, build }) {
+    const arrow = new Arrow(vec3(...start), vec3(...velocity), ARROW_BUILD_PRESETS[build], vec3(...dir));
+    Object.assign(arrow, { id, player, remote: true });
+    const late = Math.min(this.time - time, 1);       // catch up on the flight it had before word of it arrived
+    if (late > 0) arrow.update(late, this.get_flight_conditions(time));
+    this.arrows.push(arrow);
+  }
+
+  // Where a remote arrow really stuck, and which way it pointed, in its target's frame (`offset`, `local_dir`), and
+  // where it struck the face (`point`) with what momentum (`impulse`), so the target reacts here too.  Overrides
+  // wherever it landed in this simulation.  If the target `broke`, the arrow flew on.
+  place_remote_arrow({ id, player, target_index, offset, dir, local_dir, point, impulse, broke = false }) {
+    const target = this.targets[target_index];
+    if (point) target.react(vec3(...point), vec3(...dir), impulse ? vec3(...impulse) : null);
+    if (broke) {
+      this.emit('target_break', { target_index, position: target.get_center(), velocity: vec3(...dir).times(20) });
+      return;
+    }
+
+    let arrow = this.arrows.find(a => a.remote && a.id === id);
+    if (!arrow) {
+      arrow = Object.assign(new Arrow(vec3(0, 0, 0), vec3(0, 0, 0)), { id, player, remote: true });
+      this.arrows.push(arrow);
+    }
+    Object.assign(arrow, {
+      alive: true, stuck: true, stuck_in: 'target', stuck_target_index: target_index, stuck_offset: vec3(...offset),
+      stuck_dir: vec3(...dir), vel: vec3(0, 0, 0),
+      stuck_local_dir: local_dir ? vec3(...local_dir) : target.direction_to_local(vec3(...dir)),
+    });
+    arrow.pos = target.to_world(arrow.stuck_offset);
+    this.limit_stuck_arrows();
+  }
+
+  update_aim(is_hold, dt) {
+    if (!is_hold) return;
+    const limit = this.max_draw_strength * this.draw_limit;
+    if (this.draw_strength > limit) {
+      this.draw_strength = Math.max(limit, this.draw_strength - this.config.drawLetDownRate * dt);
+      return;
+    }
+    if (this.draw_strength === limit) {
+      this.hold_time += dt;
+      return;
+    }
+    const rate = this.config.drawChargeRate * this.bow.pace(this.draw_strength);
+    this.draw_strength = Math.min(limit, this.draw_strength + rate * dt);
+  }
+
+  update_targets(dt) {
+    for (const t of this.targets) t.update(dt);
+    this.target_centers = this.targets.map(t => t.get_center());
+  }
+
+  // An arrow still in flight that drops out of the world this step has missed everything.
+  update_arrows(dt) {
+    const air = this.get_flight_conditions(this.time - dt);
+    for (const a of this.arrows) {
+      const flying = a.alive && !a.stuck;
+      a.update(dt, air);
+      if (flying && !a.alive && !a.remote && !a.scored) {
+        this.mode.on_miss(a);
+        this.emit('miss', { arrow: a, position: a.pos });
+      }
+    }
+    this.arrows = this.arrows.filter(a => a.alive);
+  }
+
+  resolve_arrow_target_collisions() {
+    for (const a of this.arrows) {
+      if (!a.alive || a.stuck) continue;
+
+      // The arrow stops in whichever target it reaches first along its path.
+      let first = null;
+      for (let i = 0; i < this.targets.length; i++) {
+        const hit = this.targets[i].intersect_segment(a.prev_pos, a.pos);
+        if (hit && (!first || hit.t < first.hit.t)) first = { index: i, hit };
+      }
+      if (!first) continue;
+
+      const { index: i, hit } = first;
+      const target = this.targets[i];
+      if (a.remote && target.breaks) continue;      // whether it shatters is for the arrow's owner to say
+      const ring_frac = Math.min(radial_distance(hit.point) / target.radius, 1);
+      const points = a.remote ? 0 : this.score_for_target_hit(target, hit);
+
+      if (!a.remote) {
+        this.score += points;
+        this.streak = this.mode.streak_after_hit(this.streak, { points, ring_frac, target_index: i });
+        this.mode.on_hit({ points, ring_frac, target_index: i });
+      }
+
+      const impact_dir = a.get_direction();
+      const impulse = a.vel.times(a.build.mass);
+      const hit_pos = target.to_world(hit.point);
+      const normal = target.direction_to_world(cylinder_hit_normal(hit));
+      const hit_report = {
+        arrow: a, target_index: i, points, ring_frac, face: hit.face, position: hit_pos, normal, local_point: hit.point,
+        impulse, broke: target.breaks,
+      };
+
+      // Clay shatters and lets the arrow through; it still counts as a hit, not a miss, when it comes down.
+      if (target.breaks) {
+        target.react(hit.point, impact_dir);
+        a.scored = true;
+        this.emit('target_hit', hit_report);
+        this.emit('target_break', { target_index: i, position: hit_pos, velocity: a.vel });
+        continue;
+      }
+
+      a.stuck = true;
+      a.stuck_in = 'target';
+      a.stuck_dir = impact_dir;
+      a.stuck_local_dir = target.direction_to_local(impact_dir);
+      a.stuck_target_index = i;
+      a.vel = vec3(0, 0, 0);
+
+      // Leave the tail standing out of the surface on the side the arrow came from.
+      const visible_stuck_pos = hit_pos.minus(impact_dir.times(ARROW_STANDOUT));
+      a.stuck_offset = target.to_local(visible_stuck_pos);
+      a.pos = visible_stuck_pos;
+      this.limit_stuck_arrows();
+
+      if (a.remote) continue;
+      target.react(hit.point, impact_dir, impulse);
+      this.emit('target_hit', hit_report);
+    }
+  }
+
+  resolve_arrow_cow_collisions() {
+    for (const a of this.arrows) {
+      if (!a.alive || a.stuck) continue;
+
+      // Earliest body part the arrow's path touched this step, over every cow.
+      let first = null;
+      for (let i = 0; i < this.cows.length; i++) {
+        const cow = this.cows[i];
+        const near = closest_points_on_segments(a.prev_pos, a.pos, cow.bound_center, cow.bound_center);
+        if (near.dist_sq > cow.bound_radius * cow.bound_radius) continue;
+
+        for (const part of cow.parts) {
+          const hit = segment_vs_capsule(a.prev_pos, a.pos, part.a, part.b, part.radius);
+          if (hit && (!first || hit.t < first.hit.t)) first = { cow_index: i, part: part.part, hit };
+        }
+      }
+      if (!first) continue;
+
+      a.alive = false;
+      if (a.remote) continue;
+
+      // Hit a cow; what it costs depends on the mode
+      this.mode.on_cow_hit();
+
+      const cow = this.cows[first.cow_index];
+      this.last_cow_hit = { cow_index: first.cow_index, part: first.part, position: first.hit.point, time: this.time };
+      this.emit('cow_hit', { arrow: a, cow, ...this.last_cow_hit });
+    }
+  }
+
+  // An arrow that reaches the ground, a tree trunk, a post or a target's stand before anything else sticks in it,
+  // sunk in along its line of flight by however far its speed drives it.  Unless it already broke a clay target on
+  // the way, that is a miss.
+  resolve_arrow_scenery_collisions() {
+    const stands = this.targets.map(t => t.get_stand());
+    for (const a of this.arrows) {
+      if (!a.alive || a.stuck) continue;
+
+      let first = null;
+      if (a.prev_pos[1] > 0 && a.pos[1] <= 0) {
+        const t = a.prev_pos[1] / (a.prev_pos[1] - a.pos[1]);
+        first = { t, point: a.prev_pos.mix(a.pos, t), surface: 'ground', target_index: null };
+      }
+      const consider = (post, target_index) => {
+        const hit = segment_vs_capsule(a.prev_pos, a.pos, post.a, post.b, post.radius);
+        if (hit && (!first || hit.t < first.t)) {
+          first = { t: hit.t, point: hit.point, surface: target_index === null ? post.surface : 'stand', target_index };
+        }
+      };
+      for (const post of this.posts) consider(post, null);
+      stands.forEach((stand, i) => { if (stand) consider(stand, i); });
+      if (first) this.embed_arrow(a, first);
+    }
+  }
+
+  embed_arrow(a, { point, surface, target_index }) {
+    const dir = a.get_direction();
+    const speed = a.vel.norm();
+    const rate = surface === 'ground' ? this.config.groundPenetration : this.config.woodPenetration;
+    const depth = Math.min(speed * rate, 0.6 * this.config.arrowLength);
+    const impulse = a.vel.times(a.build.mass);
+
+    a.stuck = true;
+    a.stuck_in = surface;
+    a.stuck_dir = dir;
+    a.vel = vec3(0, 0, 0);
+    a.pos = point.minus(dir.times(this.config.arrowLength - depth));
+    if (target_index !== null) {
+      const target = this.targets[target_index];
+      a.stuck_target_index = target_index;
+      a.stuck_offset = target.to_local(a.pos);
+      a.stuck_local_dir = target.direction_to_local(dir);
+      if (!a.remote) target.push(point, impulse);
+    }
+
+    if (!a.remote && !a.scored) {
+      this.mode.on_miss(a);
+      this.emit('miss', { arrow: a, position: point });
+    }
+    this.emit('embed', { arrow: a, surface, position: point, speed });
+    this.limit_stuck_arrows();
+  }
+
+  // Past the limit, the arrows that came to rest first are pulled out.
+  // Arrows in targets are never pulled: they are the record of the match that groups and later turns are read
+  // from, and a round only has so many shots in it.
+  limit_stuck_arrows() {
+    const strays = a => a.stuck && a.stuck_in !== 'target';
+    let excess = this.arrows.filter(strays).length - this.config.maxStuckArrows;
+    if (excess <= 0) return;
+    this.arrows = this.arrows.filter(a => !(strays(a) && excess-- > 0));
+  }
+
+  // Stuck arrows ride along with their targets, turning as they turn.
+  update_stuck_arrows() {
+    for (const a of this.arrows) {
+      if (!a.stuck) continue;
+      if (a.stuck_target_index === null) continue;
+
+      const target = this.targets[a.stuck_target_index];
+      a.pos = target.to_world(a.stuck_offset);
+      a.stuck_dir = target.direction_to_world(a.stuck_local_dir);
+    }
+  }
+
+  // Apply any scheduled weather changes the match clock has reached.  With auto weather on, the weather also
+  // moves on to a random different type every autoWeatherInterval seconds, give or take a quarter.
+  update_weather_schedule() {
+    const schedule = this.level.weather.schedule;
+    while (this.weather_schedule_index < schedule.length && schedule[this.weather_schedule_index].at <= this.time) {
+      const { type } = schedule[this.weather_schedule_index++];
+      this.weather.set_type(type);
+      this.emit('weather_change', { type, scheduled: true });
+    }
+
+    if (!this.auto_weather || this.time < this.next_auto_weather) return;
+    const others = this.weather.weather_types.filter(t => t !== this.weather.type);
+    const type = others[Math.floor(this.rng.next() * others.length)];
+    this.weather.set_type(type);
+    this.next_auto_weather = this.time + this.config.autoWeatherInterval * this.rng.range(0.75, 1.25);
+    this.emit('weather_change', { type, scheduled: true });
+  }
+
+  // Auto weather counts its interval from when it was switched on.
+  toggle_auto_weather() {
+    this.auto_weather = !this.auto_weather;
+    this.next_auto_weather = this.time + this.config.autoWeatherInterval;
+  }
+
+  update_simulation(dt) {
+    this.mode.update(dt);
+    this.update_weather_schedule();
+    this.weather.update(dt);
+    this.update_targets(dt);
+    this.update_arrows(dt);
+    this.resolve_arrow_target_collisions();
+    this.resolve_arrow_cow_collisions();
+    this.resolve_arrow_scenery_collisions();
+    this.update_stuck_arrows();
+    this.update_round_state();
+  }
+
+  // A turn ends once the player has shot their arrows for it, or their mode has ended their match, and every arrow
+  // in the air has come to rest so its points count.  The bow passes to the next player with a match left to
+  // play; when nobody has one, the round is over.
+  update_round_state() {
+    if (this.round_over) return;
+    if (!this.mode.end_reason() && this.turn_shots < this.turn_shot_limit) return;
+    if (this.arrows.some(a => a.alive && !a.stuck && !a.remote)) return;
+
+    const count = this.players.length;
+    for (let k = 1; k <= count; k++) {
+      const next = (this.turn + k) % count;
+      if (!this.players[next].mode.end_reason()) return this.begin_turn(next);
+    }
+    this.round_over = true;
+    this.emit('round_end', this.round_summary());
+  }
+
+  // Arrows shot on earlier turns stay where they landed.
+  begin_turn(index) {
+    this.turn = index;
+    this.turn_shots = 0;
+    this.emit('turn_change', { player: index });
+  }
+
+  // Every player's result, best score first.
+  standings() {
+    return this.players
+      .map(p => ({
+        player: p.index, score: p.score, shots_taken: p.shots_taken,
+        end_reason: p.mode.end_reason(), ...p.mode.summary(),
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // What a finished round is ranked by; the leaderboard files it under level, speed preset, weather, mode and bow.
+  // The speed, weather and bow are what the arrows were shot at, in and with, or 'mixed' if they changed between
+  // shots.  The score and shots are the last player's; `players` holds everyone's standings.
+  round_summary() {
+    return {
+      level_id: this.level.id,
+      level_name: this.level.name,
+      score: this.score,
+      shots_taken: this.shots_taken,
+      max_shots: this.max_shots,
+      speed: round_condition(this.shot_speeds, ARROW_SPEED_PRESETS[this.arrow_speed_index]),
+      bow: round_condition(this.shot_bows, this.bow.constructor.id),
+      weather: round_condition(this.shot_weather, this.weather.type),
+      time: this.time,
+      mode: this.mode_id,
+      end_reason: this.mode.end_reason(),
+      ...this.mode.summary(),
+      players: this.standings(),
+    };
+  }
+
+  // Advance one clock tick: draw charge, world update, then reload countdown.
+  step() {
+    const dt = this.clock.tick();
+    this.time += dt;
+
+    if (this.is_drawing) this.update_aim(true, dt);
+    this.update_sway(dt);
+    this.update_simulation(dt);
+    if (this.reload_timer > 0) this.reload_timer -= dt;
+
+    this.frame++;
+    this.emit('step', { frame: this.frame, dt });
+    return dt;
+  }
+
+  // Step until at least `seconds` of simulated time have passed.
+  run_for(seconds) {
+    const end = this.time + seconds;
+    while (this.time < end - 1e-9) {
+      if (this.step() <= 0) break;
+    }
+  }
+}
@@ -0,0 +1,112 @@
+// bullseye-sway.js - How steadily the archer holds the bow.
+//
+// No one holds a drawn bow perfectly still.  Aim_Sway wanders the aim with 1D Perlin noise, one channel for yaw and
+// one for pitch, so it drifts smoothly rather than jittering.  The longer the bow stays drawn and the worse the
+// weather, the further it wanders; on top of that the aim rises and falls with each breath.
+//
+// Holding the breath stills both for as long as there is breath to hold.  Run out and the archer is winded: the
+// aim shakes harder and the breath can't be held again until some of it is back.
+//
+// Range_Simulation calls update() once a step, and offset() gives the sway in radians of { yaw, pitch }.  All of
+// Aim_Sway's randomness is drawn when it is built, so, like the wind, the same inputs always sway the same way.
+
+export const SWAY = {
+  growth: 0.0015,           // radians more wander for each second the bow is held drawn...
+  growth_time: 5,           // ...for up to this many seconds
+  weather: 1.5,             // and, in the worst weather, this many times more again
+  severe_wind: 14,          // m/s of wind at the shooting line that counts as the worst
+  rate: 0.8,                // noise lattice points per second: how quickly the wander drifts
+  settle_rate: 3,           // 1/s: how quickly it builds up and dies away as the bow is drawn and let down
+};
+
+export const BREATH = {
+  amplitude: 0.003,         // radians the aim rises and falls
+  period: 4,                // seconds per breath
+  winded_period: 1.6,       // or when out of breath
+  hold_time: 5,             // seconds a full breath lasts
+  recover_time: 8,          // seconds to get all of it back
+  winded_until: 0.35,       // of the breath back before it can be held again after running out
+  held_sway: 0.2,           // of the usual wander left while holding
+  winded_sway: 1.6,         // and while winded
+  steady_rate: 5,           // 1/s: how quickly holding or letting go takes effect
+};
+
+const LATTICE_SIZE = 256;
+
+const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+const approach = (dt, rate) => 1 - Math.exp(-rate * dt);
+
+export class Aim_Sway {
+  // rng: a Seeded_Random of its own, so the sway draws nothing from the rest of the match's randomness.
+  constructor(rng) {
+    this.gradients = Array.from({ length: LATTICE_SIZE }, () => rng.range(-1, 1));
+    this.channel_offsets = [rng.range(0, LATTICE_SIZE), rng.range(0, LATTICE_SIZE)];
+
+    this.stamina = 1;             // of a full breath left to hold
+    this.holding = false;
+    this.winded = false;
+    this.steadiness = 1;          // scales the wander; eased towards held_sway or winded_sway
+    this.wander = 0;              // radians, eased towards what the draw and weather call for
+    this.breath = 0;              // radians, likewise
+    this.breath_phase = 0;        // through the current breath, 0 to 1
+  }
+
+  // Gradient noise: each lattice point has a slope, and between two points the slopes' lines are blended.  Zero
+  // on every lattice point, and within -1 to 1 in between.
+  perlin(x) {
+    const i = Math.floor(x), f = x - i;
+    const g0 = this.gradients[i & (LATTICE_SIZE - 1)], g1 = this.gradients[(i + 1) & (LATTICE_SIZE - 1)];
+    const a = g0 * f, b = g1 * (f - 1);
+    return 2 * (a + (b - a) * fade(f));
+  }
+
+  // Two octaves, the finer one half as strong, for a tremble on top of the drift.
+  noise(time, channel) {
+    const x = time * SWAY.rate + this.channel_offsets[channel];
+    return (this.perlin(x) + 0.5 * this.perlin(2.03 * x + 17.3)) / 1.5;
+  }
+
+  // Whether the breath was caught; it can't be while winded.
+  hold_breath() {
+    if (this.winded || this.stamina <= 0) return false;
+    this.holding = true;
+    return true;
+  }
+
+  let_breath_out() {
+    this.holding = false;
+  }
+
+  // drawing: whether the bow is drawn.  draw_time: seconds it has been.  tremble: radians of wander to add for tired
+  // arms.  severity: how bad the weather is, 0 to 1.
+  update(dt, { drawing, draw_time, tremble, severity }) {
+    if (this.holding) {
+      this.stamina = Math.max(0, this.stamina - dt / BREATH.hold_time);
+      if (this.stamina === 0) {
+        this.holding = false;
+        this.winded = true;
+      }
+    } else {
+      this.stamina = Math.min(1, this.stamina + dt / BREATH.recover_time);
+      if (this.winded && this.stamina >= BREATH.winded_until) this.winded = false;
+    }
+    const steadiness = this.holding ? BREATH.held_sway : this.winded ? BREATH.winded_sway : 1;
+    this.steadiness += (steadiness - this.steadiness) * approach(dt, BREATH.steady_rate);
+
+    const wander = drawing
+      ? SWAY.growth * Math.min(draw_time, SWAY.growth_time) * (1 + SWAY.weather * severity) + tremble : 0;
+    const breath = drawing && !this.holding ? BREATH.amplitude : 0;
+    const k = approach(dt, SWAY.settle_rate);
+    this.wander += (wander - this.wander) * k;
+    this.breath += (breath - this.breath) * k;
+    this.breath_phase = (this.breath_phase + dt / (this.winded ? BREATH.winded_period : BREATH.period)) % 1;
+  }
+
+  offset(time) {
+    const wander = this.wander * this.steadiness;
+    return {
+      yaw: wander * this.noise(time, 0),
+      pitch: wander * this.noise(time, 1) + this.breath * this.steadiness * Math.sin(2 * Math.PI * this.breath_phase),
+    };
+  }
+}
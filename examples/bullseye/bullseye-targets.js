@@ -0,0 +1,461 @@
+// bullseye-targets.js - How Bullseye Range's targets move, and what they do when they are hit.
+//
+// A Target (bullseye-simulation.js) has one motion, one reaction and one mount, each named by `type` in the level
+// data with the rest of their settings alongside:
+//
+//     "motion":   { "type": "pendulum", "length": 5, "amplitude": 0.4 }
+//     "reaction": { "type": "spin", "speed": 6 }
+//     "mount":    { "type": "hanging", "mass": 2 }
+//
+// A motion is a pure function of match time: where the target is relative to the center the level gives it, any
+// extra turn, and how far it is raised (pop-up targets sink out of reach).  A reaction starts from each hit and
+// adds its own offset and turn, or breaks the target.  A mount takes each arrow's momentum and turns the whole
+// target about its pivot, swinging it on a rope or rocking, and perhaps toppling, its stand.  Every setting a kind
+// takes, with its default, is listed in its `defaults`; parse_level() checks level data against them.
+import { math } from '../../tiny-graphics-math.js';
+
+const { vec3, Mat4 } = math;
+
+const ZERO = vec3(0, 0, 0);
+const GRAVITY = 9.8;              // for a pendulum's natural period; the arrows' gravity is a level setting
+
+/* =========================
+   Motions
+========================= */
+// Standing still.  `target` is { center, radius } from the level, for motions whose sizes depend on it.
+export class Target_Motion {
+  static defaults = {};
+
+  constructor(settings = {}, target = {}) {
+    Object.assign(this, this.constructor.defaults, settings);
+    this.target = target;
+  }
+
+  // World-space displacement from the level's center at time t.
+  offset(t) {
+    return ZERO;
+  }
+
+  // Extra rotation, applied before the target's own yaw, pitch and roll.
+  rotation(t) {
+    return Mat4.identity();
+  }
+
+  // 1 when fully up, 0 when down and out of reach.
+  raised(t) {
+    return 1;
+  }
+
+  // Where the target hangs from, if it hangs from anything.
+  anchor(t) {
+    return null;
+  }
+}
+
+// Sine motion on each axis, the original moving target.
+export class Lissajous_Motion extends Target_Motion {
+  static defaults = { amplitude: [0, 0], frequency: [0, 0] };
+
+  offset(t) {
+    const [ax, ay] = this.amplitude, [fx, fy] = this.frequency;
+    return vec3(ax * Math.sin(t * fx), ay * Math.sin(t * fy), 0);
+  }
+}
+
+// A smooth (Catmull-Rom) path through `points`, given relative to the center, taking `period` seconds.  A loop
+// joins the last point back to the first; otherwise the target goes back and forth.
+export class Spline_Motion extends Target_Motion {
+  static defaults = { points: [], period: 8, loop: true };
+
+  static check({ points, period }) {
+    if (points.length < 2) return 'a spline needs at least two points';
+    if (!(period > 0)) return 'period must be more than zero';
+    return null;
+  }
+
+  offset(t) {
+    const points = this.points, n = points.length;
+    const phase = t / this.period;
+    let u;
+    if (this.loop) {
+      u = (phase - Math.floor(phase)) * n;
+    } else {
+      const back_and_forth = 1 - Math.abs(1 - 2 * (phase - Math.floor(phase)));
+      u = back_and_forth * (n - 1);
+    }
+    const i = Math.min(Math.floor(u), this.loop ? n - 1 : n - 2), s = u - i;
+    const at = k => points[this.loop ? (k + n) % n : Math.max(0, Math.min(n - 1, k))];
+    const [p0, p1, p2, p3] = [at(i - 1), at(i), at(i + 1), at(i + 2)];
+
+    const s2 = s * s, s3 = s2 * s;
+    const axis = j => 0.5 * (2 * p1[j] + (p2[j] - p0[j]) * s + (2 * p0[j] - 5 * p1[j] + 4 * p2[j] - p3[j]) * s2 +
+      (3 * p1[j] - p0[j] - 3 * p2[j] + p3[j]) * s3);
+    return vec3(axis(0), axis(1), axis(2));
+  }
+}
+
+// Up for `up` seconds, then sunk `drop` metres (by default, right out of sight) for `down` seconds.  `phase`
+// shifts the cycle so pop-ups on one course needn't all rise together.
+export const POPUP_RISE_TIME = 0.25;
+
+export class Popup_Motion extends Target_Motion {
+  static defaults = { up: 3, down: 2, phase: 0, drop: null };
+
+  static check({ up, down }) {
+    if (!(up > 2 * POPUP_RISE_TIME)) return `up must be longer than ${2 * POPUP_RISE_TIME} seconds`;
+    return down >= 0 ? null : 'down must not be negative';
+  }
+
+  raised(t) {
+    const cycle = this.up + this.down;
+    const c = ((t + this.phase) % cycle + cycle) % cycle;
+    if (c >= this.up) return 0;
+    return Math.min(1, c / POPUP_RISE_TIME, (this.up - c) / POPUP_RISE_TIME);
+  }
+
+  offset(t) {
+    const drop = this.drop ?? (this.target.center[1] + this.target.radius + 0.5);
+    return vec3(0, -(1 - this.raised(t)) * drop, 0);
+  }
+}
+
+// Hangs `length` metres below a pivot above the level's center and swings `amplitude` radians either way.
+// `heading` turns the direction of swing about the vertical: 0 swings side to side, pi/2 towards and away.  The
+// period defaults to a real pendulum's.
+export class Pendulum_Motion extends Target_Motion {
+  static defaults = { length: 4, amplitude: 0.4, period: null, phase: 0, heading: 0 };
+
+  static check({ length }) {
+    return length > 0 ? null : 'length must be more than zero';
+  }
+
+  get swing_period() {
+    return this.period ?? 2 * Math.PI * Math.sqrt(this.length / GRAVITY);
+  }
+
+  angle(t) {
+    return this.amplitude * Math.sin(2 * Math.PI * (t + this.phase) / this.swing_period);
+  }
+
+  rotation(t) {
+    return Mat4.rotation(this.angle(t), Math.sin(this.heading), 0, Math.cos(this.heading));
+  }
+
+  offset(t) {
+    const hang = this.rotation(t).times(vec3(0, -this.length, 0).to4(0)).to3();
+    return hang.plus(vec3(0, this.length, 0));
+  }
+
+  anchor(t) {
+    return vec3(...this.target.center).plus(vec3(0, this.length, 0));
+  }
+}
+
+export const TARGET_MOTIONS = {
+  still: Target_Motion,
+  lissajous: Lissajous_Motion,
+  spline: Spline_Motion,
+  popup: Popup_Motion,
+  pendulum: Pendulum_Motion,
+};
+
+/* =========================
+   Reactions
+========================= */
+// Taking hits without a flinch.  hit(): { point, the hit in the target's frame; dir, the arrow's world direction;
+// radius, the target's; time }.
+export class Target_Reaction {
+  static defaults = {};
+
+  constructor(settings = {}) {
+    Object.assign(this, this.constructor.defaults, settings);
+  }
+
+  // Whether a hit shatters the target rather than taking the arrow.
+  get breaks() {
+    return false;
+  }
+
+  hit(hit) {}
+
+  offset(t) {
+    return ZERO;
+  }
+
+  rotation(t) {
+    return Mat4.identity();
+  }
+
+  broken(t) {
+    return false;
+  }
+}
+
+// Knocked back `distance` metres along the arrow's flight, furthest after `time` seconds, then easing home.
+export class Recoil_Reaction extends Target_Reaction {
+  static defaults = { distance: 0.5, time: 0.15 };
+
+  static check({ time }) {
+    return time > 0 ? null : 'time must be more than zero';
+  }
+
+  constructor(settings) {
+    super(settings);
+    this.struck_at = null;
+    this.push = ZERO;
+  }
+
+  hit({ dir, time }) {
+    this.struck_at = time;
+    this.push = dir.normalized().times(this.distance);
+  }
+
+  offset(t) {
+    if (this.struck_at === null || t < this.struck_at) return ZERO;
+    const s = (t - this.struck_at) / this.time;
+    return s > 12 ? ZERO : this.push.times(s * Math.exp(1 - s));
+  }
+}
+
+// Set turning about the vertical by hits off center, at up to `speed` rad/s for a hit on the rim, slowing by a
+// factor of e every 1/`decay` seconds.  Hits add up.
+export class Spin_Reaction extends Target_Reaction {
+  static defaults = { speed: 6, decay: 0.8 };
+
+  static check({ decay }) {
+    return decay > 0 ? null : 'decay must be more than zero';
+  }
+
+  constructor(settings) {
+    super(settings);
+    this.struck_at = 0;
+    this.base_angle = 0;
+    this.spin = 0;
+  }
+
+  // Pushing the face in on one side of the axle turns it that way.
+  hit({ point, radius, time }) {
+    const spin_now = this.spin * Math.exp(-this.decay * (time - this.struck_at));
+    this.base_angle = this.angle(time);
+    this.struck_at = time;
+    this.spin = spin_now + this.speed * Math.max(-1, Math.min(1, point[0] / radius));
+  }
+
+  angle(t) {
+    const dt = Math.max(0, t - this.struck_at);
+    return this.base_angle + this.spin / this.decay * (1 - Math.exp(-this.decay * dt));
+  }
+
+  rotation(t) {
+    return Mat4.rotation(this.angle(t), 0, 1, 0);
+  }
+}
+
+// A clay target: the first hit shatters it, and the arrow flies on through the pieces.  It comes back after
+// `respawn` seconds, or never if that is null.
+export class Break_Reaction extends Target_Reaction {
+  static defaults = { respawn: null };
+
+  constructor(settings) {
+    super(settings);
+    this.broken_at = null;
+  }
+
+  get breaks() {
+    return true;
+  }
+
+  hit({ time }) {
+    this.broken_at = time;
+  }
+
+  broken(t) {
+    if (this.broken_at === null || t < this.broken_at) return false;
+    return this.respawn === null || t < this.broken_at + this.respawn;
+  }
+}
+
+export const TARGET_REACTIONS = {
+  none: Target_Reaction,
+  recoil: Recoil_Reaction,
+  spin: Spin_Reaction,
+  break: Break_Reaction,
+};
+
+/* =========================
+   Mounts
+========================= */
+// What holds a target up, and so how an arrow's momentum moves it: the mount turns the whole target about a pivot.
+// Each hit's push is worked out from the moment it landed, so, like a motion, a mount's pose is a function of match
+// time.  hit(): { point, where it struck; impulse, the arrow's momentum in kg m/s; center, the target's; pivot;
+// time }, all in world space.
+//
+// Held rigidly, as every target is in a match whose targets hold still.
+export class Target_Mount {
+  static defaults = {};
+
+  constructor(settings = {}) {
+    Object.assign(this, this.constructor.defaults, settings);
+  }
+
+  // Whether the target hangs from its pivot, on a rope drawn up to it.
+  get hangs() {
+    return false;
+  }
+
+  // What the target turns about, by default the foot of its post, which goes where the target goes.  center is
+  // where the target's motion has it, base where the level put it, and anchor the motion's pivot, if it has one.
+  pivot({ center, base }) {
+    return vec3(center[0], center[1] - base[1], center[2]);
+  }
+
+  hit(hit) {}
+
+  // Whether the target has been knocked down, out of play, by `t`.
+  down(t) {
+    return false;
+  }
+
+  rotation(t) {
+    return Mat4.identity();
+  }
+}
+
+// How a damped spring of natural frequency `omega` (rad/s) and damping ratio `zeta` answers a kick of 1 rad/s,
+// `s` seconds after it: how far over it is, and how fast it is going.
+function damped_swing(s, omega, zeta) {
+  const wd = omega * Math.sqrt(1 - zeta * zeta), decay = Math.exp(-zeta * omega * s);
+  const sin = Math.sin(wd * s), cos = Math.cos(wd * s);
+  return { angle: decay * sin / wd, rate: decay * (cos - zeta * omega * sin / wd) };
+}
+
+// Turns by a rotation vector: its length is the angle.
+function tilt_rotation(tilt) {
+  const angle = tilt.norm();
+  return angle < 1e-9 ? Mat4.identity() : Mat4.rotation(angle, tilt[0], tilt[1], tilt[2]);
+}
+
+// A mount that sways back to rest after each hit.  `mass` is the target's in kg, taken as all at its center;
+// `damping` is the share of critical damping, so small values sway for longer.
+class Swaying_Mount extends Target_Mount {
+  static check({ mass, damping }) {
+    if (!(mass > 0)) return 'mass must be more than zero';
+    return damping > 0 && damping < 1 ? null : 'damping must be between 0 and 1';
+  }
+
+  constructor(settings) {
+    super(settings);
+    this.kicks = [];              // { time, kick: the angular velocity the hit gave, in rad/s, omega }
+  }
+
+  // The sum of every kick so far at time t: the tilt as a rotation vector, and how fast it is changing.
+  sway(t) {
+    let tilt = ZERO, rate = ZERO;
+    for (const { time, kick, omega } of this.kicks) {
+      if (t < time) continue;
+      const swing = damped_swing(t - time, omega, this.damping);
+      tilt = tilt.plus(kick.times(swing.angle));
+      rate = rate.plus(kick.times(swing.rate));
+    }
+    return { tilt, rate };
+  }
+
+  // The angular velocity a hit gives: the arrow's angular momentum about the pivot over the target's moment of
+  // inertia.  Twisting about the vertical is left to the reactions.
+  kick({ point, impulse, center, pivot }) {
+    const arm = Math.max(1, center.minus(pivot).norm());
+    const turn = point.minus(pivot).cross(impulse).times(1 / (this.mass * arm * arm));
+    return { kick: vec3(turn[0], 0, turn[2]), arm };
+  }
+
+  // Kicks that have died away to nothing are dropped.
+  add_kick(time, kick, omega) {
+    this.kicks = this.kicks.filter(k => this.damping * k.omega * (time - k.time) < 8);
+    this.kicks.push({ time, kick, omega });
+  }
+}
+
+// Hangs from a rope and swings when hit.  A pendulum's rope is tied where the pendulum swings from; any other
+// target hangs `length` metres below its pivot.  Swings go no further than `limit` radians.
+export class Hanging_Mount extends Swaying_Mount {
+  static defaults = { length: 4, mass: 1, damping: 0.05, limit: 1.2 };
+
+  static check(settings) {
+    return settings.length > 0 ? super.check(settings) : 'length must be more than zero';
+  }
+
+  get hangs() {
+    return true;
+  }
+
+  pivot({ center, anchor }) {
+    return anchor || center.plus(vec3(0, this.length, 0));
+  }
+
+  hit(hit) {
+    const { kick, arm } = this.kick(hit);
+    this.add_kick(hit.time, kick, Math.sqrt(GRAVITY / arm));
+  }
+
+  rotation(t) {
+    const { tilt } = this.sway(t);
+    const angle = tilt.norm();
+    return tilt_rotation(angle > this.limit ? tilt.times(this.limit / angle) : tilt);
+  }
+}
+
+// A target on a post, pivoting where the post meets the ground: it wobbles at `frequency` Hz when hit, and a hit
+// that would rock it more than `tip` radians knocks it over.  Down it stays until the next round, and can't be hit
+// or scored on.
+export class Stand_Mount extends Swaying_Mount {
+  static defaults = { mass: 0.8, frequency: 1.2, damping: 0.15, tip: 0.15 };
+
+  static check(settings) {
+    if (!(settings.frequency > 0)) return 'frequency must be more than zero';
+    if (!(settings.tip > 0 && settings.tip < Math.PI / 2)) return 'tip must be between 0 and pi/2';
+    return super.check(settings);
+  }
+
+  constructor(settings) {
+    super(settings);
+    this.fall = null;             // { time, axis, angle, rate, accel } once it has been knocked over
+  }
+
+  hit(hit) {
+    if (this.fall) return;
+    const omega = 2 * Math.PI * this.frequency;
+    const { kick, arm } = this.kick(hit);
+    const { tilt, rate } = this.sway(hit.time);
+    const spin = rate.plus(kick);
+
+    // How far it will rock, near enough, given where it is and how fast it is now going.
+    const reach = Math.hypot(tilt.norm(), spin.norm() / omega);
+    if (reach <= this.tip) {
+      this.add_kick(hit.time, kick, omega);
+      return;
+    }
+    const axis = spin.norm() > 1e-9 ? spin.normalized() : tilt.normalized();
+    this.fall = {
+      time: hit.time, axis, angle: tilt.dot(axis), rate: Math.max(0, spin.dot(axis)), accel: GRAVITY / arm,
+    };
+  }
+
+  down(t) {
+    return this.fall !== null && t >= this.fall.time;
+  }
+
+  // Toppling is an inverted pendulum; it is taken to fall with the pull it feels half way down.
+  rotation(t) {
+    const fall = this.fall;
+    if (!fall || t < fall.time) return tilt_rotation(this.sway(t).tilt);
+    const s = t - fall.time;
+    const angle = Math.min(Math.PI / 2, fall.angle + fall.rate * s + 0.5 * fall.accel * Math.SQRT1_2 * s * s);
+    return tilt_rotation(fall.axis.times(angle));
+  }
+}
+
+export const TARGET_MOUNTS = {
+  fixed: Target_Mount,
+  stand: Stand_Mount,
+  hanging: Hanging_Mount,
+};
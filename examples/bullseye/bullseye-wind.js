@@ -0,0 +1,132 @@
+// bullseye-wind.js - The moving air over Bullseye Range.
+//
+// Wind_Field.sample() gives the air velocity at a point and time.  All of its randomness is drawn when the field is
+// built, so it is a pure function of position and time: the trajectory preview samples the same gusts the arrow
+// will meet, and replays see the same wind.  On top of a weather preset's steady wind it adds
+//   - gusts: the whole field strengthens, slackens and veers together, following smooth noise in time,
+//   - turbulence: eddies from 3D noise that drift downwind with the mean flow,
+//   - shear: the wind grows with height above the ground (a power-law profile).
+import { math } from '../../tiny-graphics-math.js';
+
+const { vec3 } = math;
+
+// Height (m) at which a preset's windStrength is the mean wind speed.
+export const WIND_REFERENCE_HEIGHT = 10;
+
+const LATTICE_SIZE = 256;
+
+const fade = t => t * t * (3 - 2 * t);
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export class Wind_Field {
+  // rng: a Seeded_Random.  Building a field draws from it, so build it at a fixed point in the simulation.
+  constructor(rng) {
+    this.values = Float32Array.from({ length: LATTICE_SIZE }, () => rng.range(-1, 1));
+    this.perm = Uint8Array.from({ length: LATTICE_SIZE }, (_, i) => i);
+    for (let i = LATTICE_SIZE - 1; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [this.perm[i], this.perm[j]] = [this.perm[j], this.perm[i]];
+    }
+    // Each noise channel (gust, veer, three turbulence axes) reads its own far-apart region of the lattice.
+    this.offsets = Array.from({ length: 5 }, () => rng.range(0, 1000));
+  }
+
+  lattice(ix, iy, iz) {
+    const p = this.perm;
+    return this.values[p[(p[(p[ix & 255] + iy) & 255] + iz) & 255]];
+  }
+
+  // Smooth value noise in [-1, 1].
+  noise3(x, y, z) {
+    const ix = Math.floor(x), iy = Math.floor(y), iz = Math.floor(z);
+    const fx = fade(x - ix), fy = fade(y - iy), fz = fade(z - iz);
+    const corner = (dx, dy, dz) => this.lattice(ix + dx, iy + dy, iz + dz);
+    return lerp(
+      lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), fx), lerp(corner(0, 1, 0), corner(1, 1, 0), fx), fy),
+      lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), fx), lerp(corner(0, 1, 1), corner(1, 1, 1), fx), fy),
+      fz);
+  }
+
+  // Two octaves of noise along one axis, for slow swings with some faster flutter in them.
+  noise_in_time(t, channel) {
+    const o = this.offsets[channel];
+    return (this.noise3(t + o, o, o) + 0.5 * this.noise3(2 * t + o, o, o)) / 1.5;
+  }
+
+  // Mean wind speed multiplier at height y.
+  shear_factor(y, shear) {
+    return Math.pow(Math.max(y, 0.5) / WIND_REFERENCE_HEIGHT, shear);
+  }
+
+  // Air velocity at `pos` at `time`.  params is a weather preset (or a blend of two): windStrength, windAngle,
+  // gustiness (fraction of the mean), gustPeriod (s), veer (radians), turbulence (fraction of the mean),
+  // turbulenceScale (m) and shear (profile exponent).
+  sample(pos, time, params) {
+    const { windStrength, windAngle, gustiness, gustPeriod, veer, turbulence, turbulenceScale, shear } = params;
+    if (windStrength <= 0) return vec3(0, 0, 0);
+
+    const gust = Math.max(0, 1 + gustiness * this.noise_in_time(time / gustPeriod, 0));
+    const angle = windAngle + veer * this.noise_in_time(time / (2 * gustPeriod), 1);
+    const mean_speed = windStrength * gust * this.shear_factor(pos[1], shear);
+    const mean = vec3(Math.cos(angle), 0, Math.sin(angle)).times(mean_speed);
+
+    // Eddies are carried along by the steady wind, so the pattern visibly blows through the range.
+    const drift = windStrength * time;
+    const x = (pos[0] - Math.cos(windAngle) * drift) / turbulenceScale;
+    const y = pos[1] / turbulenceScale;
+    const z = (pos[2] - Math.sin(windAngle) * drift) / turbulenceScale;
+    const [ox, oy, oz] = this.offsets.slice(2);
+    const eddy = vec3(
+      this.noise3(x + ox, y, z),
+      0.4 * this.noise3(x, y + oy, z),
+      this.noise3(x, y, z + oz)
+    ).times(turbulence * windStrength * gust);
+
+    return mean.plus(eddy);
+  }
+}
+
+// The wind sampled on a regular grid, for when far too many points need it to call Wind_Field.sample() on each
+// (weather particles).  Reads between grid points are blended trilinearly; reads outside the grid clamp to it.
+export class Wind_Grid {
+  // min and max: opposite corners of the box covered, as [x, y, z].  spacing: metres between samples.
+  constructor(min, max, spacing) {
+    this.min = min;
+    this.spacing = spacing;
+    this.counts = min.map((lo, i) => Math.max(2, Math.ceil((max[i] - lo) / spacing) + 1));
+    this.values = new Float32Array(this.counts[0] * this.counts[1] * this.counts[2] * 3);
+  }
+
+  // Resamples every grid point; sample(pos) returns the air velocity there.
+  fill(sample) {
+    const [nx, ny, nz] = this.counts, s = this.spacing;
+    let k = 0;
+    for (let i = 0; i < nx; i++)
+      for (let j = 0; j < ny; j++)
+        for (let l = 0; l < nz; l++, k += 3) {
+          const v = sample([this.min[0] + i * s, this.min[1] + j * s, this.min[2] + l * s]);
+          this.values[k] = v[0];
+          this.values[k + 1] = v[1];
+          this.values[k + 2] = v[2];
+        }
+  }
+
+  // Writes the wind at (x, y, z) into out[0..2] and returns out, without allocating.
+  sample_into(x, y, z, out) {
+    const [nx, ny, nz] = this.counts, values = this.values;
+    const cell = (p, axis, n) => Math.min(Math.max((p - this.min[axis]) / this.spacing, 0), n - 1.001);
+    const gx = cell(x, 0, nx), gy = cell(y, 1, ny), gz = cell(z, 2, nz);
+    const i = Math.floor(gx), j = Math.floor(gy), l = Math.floor(gz);
+    const fx = gx - i, fy = gy - j, fz = gz - l;
+    out[0] = out[1] = out[2] = 0;
+    for (let c = 0; c < 8; c++) {
+      const dx = c & 1, dy = (c >> 1) & 1, dz = c >> 2;
+      const w = (dx ? fx : 1 - fx) * (dy ? fy : 1 - fy) * (dz ? fz : 1 - fz);
+      const k = (((i + dx) * ny + j + dy) * nz + l + dz) * 3;
+      out[0] += w * values[k];
+      out[1] += w * values[k + 1];
+      out[2] += w * values[k + 2];
+    }
+    return out;
+  }
+}
@@ -1,6 +1,6 @@
 import {tiny} from '../tiny-graphics.js';
 // Pull these names into this module's scope for convenience:
-const {Vector, Vector3, vec, vec3, vec4, color, Matrix, Mat4, Shape, Shader, Component} = tiny;
+const {Vector, Vector3, vec, vec3, vec4, color, Matrix, Mat4, Shape, Shader, Component, Gamepad_Manager} = tiny;
 
 const defs = {};
 
@@ -30,6 +30,10 @@ const Movement_Controls = defs.Movement_Controls =
       speed_multiplier        = 1;
       mouse_enabled_canvases  = new Set ();
       will_take_over_uniforms = true;
+      // A gamepad flies the camera too:  left stick moves, right stick looks, triggers rise and sink, and the
+      // bumpers, d-pad and start button work the matching on-screen buttons (see render_controls()).
+      gamepad                 = new Gamepad_Manager (this.key_controls);
+      gamepad_look_speed      = 400;      // Equivalent mouse offset (pixels past the dead box) at full stick.
       set_recipient (matrix_closure, inverse_closure) {
           this.matrix  = matrix_closure;
           this.inverse = inverse_closure;
@@ -123,6 +127,12 @@ const Movement_Controls = defs.Movement_Controls =
           this.key_triggered_button ("Attach to global camera", ["Shift", "R"],
                                      () => { this.will_take_over_uniforms = true; }, "blue");
           this.new_line ();
+
+          const pad_buttons = Gamepad_Manager.buttons;
+          for (let [name, button] of [["Roll left", pad_buttons.left_bumper], ["Roll right", pad_buttons.right_bumper],
+                                      ["+", pad_buttons.dpad_up], ["-", pad_buttons.dpad_down],
+                                      ["Go to world origin", pad_buttons.start]])
+              this.key_controls.add_default_binding (name, Gamepad_Manager.binding (button));
       }
       first_person_flyaround (radians_per_frame, meters_per_frame, leeway = 70) {
           // Compare mouse's location to all four corners of a dead box:
@@ -146,9 +156,20 @@ const Movement_Controls = defs.Movement_Controls =
               }
           this.matrix ().post_multiply (Mat4.rotation (-.1 * this.roll, 0, 0, 1));
           this.inverse ().pre_multiply (Mat4.rotation (+.1 * this.roll, 0, 0, 1));
-          // Now apply translation movement of the camera, in the newest local coordinate frame.
-          this.matrix ().post_multiply (Mat4.translation (...this.thrust.times (-meters_per_frame)));
-          this.inverse ().pre_multiply (Mat4.translation (...this.thrust.times (+meters_per_frame)));
+          // Steer by the gamepad's right stick whether or not mouse look is frozen:
+          const [look_x, look_y] = this.gamepad.sticks.right;
+          for (let [i, amount] of [[0, look_x], [1, look_y]]) {
+              const velocity = amount * this.gamepad_look_speed * radians_per_frame;
+              this.matrix ().post_multiply (Mat4.rotation (-velocity, i, 1 - i, 0));
+              this.inverse ().pre_multiply (Mat4.rotation (+velocity, i, 1 - i, 0));
+          }
+          // Now apply translation movement of the camera, in the newest local coordinate frame.  Analog input adds
+          // to whatever the keys are doing.
+          const [move_x, move_y] = this.gamepad.sticks.left,
+                thrust           = this.thrust.plus (
+                  vec3 (-move_x, this.gamepad.triggers.left - this.gamepad.triggers.right, -move_y));
+          this.matrix ().post_multiply (Mat4.translation (...thrust.times (-meters_per_frame)));
+          this.inverse ().pre_multiply (Mat4.translation (...thrust.times (+meters_per_frame)));
       }
       third_person_arcball (radians_per_frame) {
           // Spin the scene around a point on an axis determined by user mouse drag:
@@ -177,6 +198,7 @@ const Movement_Controls = defs.Movement_Controls =
               this.reset ();
               this.will_take_over_uniforms = false;
           }
+          this.gamepad.poll ();
           // Move in first-person.  Scale the normal camera aiming speed by dt for smoothness:
           this.first_person_flyaround (dt * r, dt * m);
           // Also apply third-person "arcball" camera mode if a mouse drag is occurring:
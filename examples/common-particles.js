@@ -0,0 +1,146 @@
+import {tiny} from '../tiny-graphics.js';
+// Pull these names into this module's scope for convenience:
+const {vec4, Matrix, Mat4, Shader} = tiny;
+
+const defs = {};
+
+export {tiny, defs};
+
+// Per-particle attributes and how many floats each one takes.  Each lives in its own buffer so Shader.activate()
+// can point the shader at it like any per-vertex attribute; Particle_Renderer.draw() then tells WebGL to advance
+// it once per particle instead of once per vertex.
+const INSTANCE_ATTRIBUTES = {offset: 3, velocity: 3, size: 2, color: 4};
+
+const Particle_Shader = defs.Particle_Shader =
+  class Particle_Shader extends Shader {
+      // Turns each particle into a camera-facing quad.  A moving particle's quad is lined up with its motion across
+      // the screen and lengthened by how far it travels in material.stretch seconds, so fast rain draws as streaks.
+      update_GPU (context, gpu_addresses, uniforms, model_transform, material) {
+          const PC     = uniforms.projection_transform.times (uniforms.camera_inverse),
+                camera = uniforms.camera_transform;
+          context.uniformMatrix4fv (gpu_addresses.projection_camera_transform, false,
+                                    Matrix.flatten_2D_to_1D (PC.transposed ()));
+          context.uniform3fv (gpu_addresses.camera_center, camera.times (vec4 (0, 0, 0, 1)).to3 ());
+          context.uniform3fv (gpu_addresses.camera_up, camera.times (vec4 (0, 1, 0, 0)).to3 ());
+          context.uniform1f (gpu_addresses.stretch, material.stretch === undefined ? 0.02 : material.stretch);
+      }
+      vertex_glsl_code () {           // ********* VERTEX SHADER *********
+          return `
+        precision highp float;
+        attribute vec2 corner;                       // Per vertex:  a corner of the unit quad, -1 to 1.
+        attribute vec3 offset, velocity;             // Per particle:  world position and velocity,
+        attribute vec2 size;                         // width and length,
+        attribute vec4 color;                        // and color.
+
+        uniform mat4 projection_camera_transform;
+        uniform vec3 camera_center, camera_up;
+        uniform float stretch;
+
+        varying vec4 f_color;
+        varying vec2 f_corner;
+
+        void main() {
+            vec3 to_eye = normalize( camera_center - offset );
+                                             // Only motion across the line of sight shows up on screen:
+            vec3 across = velocity - dot( velocity, to_eye ) * to_eye;
+            float speed = length( across );
+            vec3 screen_up = normalize( camera_up - dot( camera_up, to_eye ) * to_eye );
+            vec3 axis = speed > 0.0001 ? across / speed : screen_up;
+            vec3 side = normalize( cross( to_eye, axis ) );
+
+            float half_length = 0.5 * size.y + 0.5 * speed * stretch;
+            vec3 world = offset + side * ( corner.x * 0.5 * size.x ) + axis * ( corner.y * half_length );
+            gl_Position = projection_camera_transform * vec4( world, 1.0 );
+
+            f_color = color;
+            f_corner = corner;
+          } `;
+      }
+      fragment_glsl_code () {          // ********* FRAGMENT SHADER *********
+          return `
+        precision mediump float;
+        varying vec4 f_color;
+        varying vec2 f_corner;
+
+        void main() {                    // Soft round edges, so stretched quads read as streaks, not rectangles.
+            float fade = 1.0 - smoothstep( 0.4, 1.0, length( f_corner ) );
+            if( fade <= 0.0 ) discard;
+            gl_FragColor = vec4( f_color.rgb, f_color.a * fade );
+          } `;
+      }
+  };
+
+const Particle_Renderer = defs.Particle_Renderer =
+  class Particle_Renderer {
+      // Draws up to max_particles billboarded particles with a single instanced draw call.  Each frame, clear() it,
+      // add() every particle, then draw().  Needs WebGL's ANGLE_instanced_arrays extension; check supported() first
+      // if you have another way to draw.
+      constructor (max_particles = 65536) {
+          this.max_particles = max_particles;
+          this.count         = 0;
+          this.arrays        = {};
+          for (let [name, size] of Object.entries (INSTANCE_ATTRIBUTES))
+              this.arrays[ name ] = new Float32Array (max_particles * size);
+          this.shader        = new Particle_Shader ();
+          this.gpu_instances = new Map ();
+      }
+      static supported (context) {
+          return !!context.getExtension ("ANGLE_instanced_arrays");
+      }
+      clear () {
+          this.count = 0;
+      }
+      // position and velocity are vec3s, rgba a color; opacity scales its alpha.  Returns false once full.
+      add (position, velocity, width, length, rgba, opacity = 1) {
+          if (this.count >= this.max_particles) return false;
+          const i                                 = this.count++;
+          const {offset, velocity: v, size, color} = this.arrays;
+          offset.set (position, 3 * i);
+          v.set (velocity, 3 * i);
+          size[ 2 * i ]     = width;
+          size[ 2 * i + 1 ] = length;
+          color.set (rgba, 4 * i);
+          color[ 4 * i + 3 ] *= opacity;
+          return true;
+      }
+      copy_onto_graphics_card (context) {
+          const gl  = context;
+          const ext = gl.getExtension ("ANGLE_instanced_arrays");
+          if ( !ext) throw "Particle_Renderer needs the ANGLE_instanced_arrays WebGL extension.";
+
+          // The quad's corners never change; the per-particle buffers get their full size once and are refilled
+          // in part every frame.
+          const buffers = {corner: gl.createBuffer ()};
+          gl.bindBuffer (gl.ARRAY_BUFFER, buffers.corner);
+          gl.bufferData (gl.ARRAY_BUFFER, new Float32Array ([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+          for (let name in INSTANCE_ATTRIBUTES) {
+              buffers[ name ] = gl.createBuffer ();
+              gl.bindBuffer (gl.ARRAY_BUFFER, buffers[ name ]);
+              gl.bufferData (gl.ARRAY_BUFFER, this.arrays[ name ].byteLength, gl.DYNAMIC_DRAW);
+          }
+          const gpu_instance = {ext, buffers};
+          this.gpu_instances.set (context, gpu_instance);
+          return gpu_instance;
+      }
+      // material may set stretch (seconds of motion each streak shows).
+      draw (webgl_manager, uniforms, material = {}) {
+          if ( !this.count) return;
+          const gl            = webgl_manager.context;
+          const {ext, buffers} = this.gpu_instances.get (gl) || this.copy_onto_graphics_card (gl);
+
+          for (let [name, size] of Object.entries (INSTANCE_ATTRIBUTES)) {
+              gl.bindBuffer (gl.ARRAY_BUFFER, buffers[ name ]);
+              gl.bufferSubData (gl.ARRAY_BUFFER, 0, this.arrays[ name ].subarray (0, this.count * size));
+          }
+          this.shader.activate (gl, buffers, uniforms, Mat4.identity (), material);
+
+          const attributes = this.shader.gpu_instances.get (gl).gpu_addresses.shader_attributes;
+          for (let name in INSTANCE_ATTRIBUTES) ext.vertexAttribDivisorANGLE (attributes[ name ].index, 1);
+          // Particles are translucent: test them against the scene's depth, but don't let them hide one another.
+          gl.depthMask (false);
+          ext.drawArraysInstancedANGLE (gl.TRIANGLE_STRIP, 0, 4, this.count);
+          gl.depthMask (true);
+          // Divisors belong to the attribute slot rather than the program, so reset them for the next Shape drawn.
+          for (let name in INSTANCE_ATTRIBUTES) ext.vertexAttribDivisorANGLE (attributes[ name ].index, 0);
+      }
+  };
@@ -2,7 +2,8 @@ import {tiny} from '../tiny-graphics.js';
 import {defs as shapes} from './common-shapes.js';
 import {defs as shaders} from './common-shaders.js';
 import {defs as components} from './common-components.js';
+import {defs as particles} from './common-particles.js';
 
-const defs = { ...shapes, ...shaders, ...components };
+const defs = { ...shapes, ...shaders, ...components, ...particles };
 
 export {tiny, defs};
@@ -1 +1,2 @@
+start "relay" python relay.py
 python server.py
\ No newline at end of file
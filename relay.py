@@ -0,0 +1,176 @@
+"""A small WebSocket relay for networked Bullseye Range matches.
+
+Run it next to server.py (host.command and host.bat start both):
+
+    python relay.py [port]
+
+Browsers connect to ws://<host>:8001/<room>.  Up to two players share a room, and every text message one of them
+sends is passed on, unchanged, to the other.  The relay adds a few messages of its own, as JSON:
+
+    {"type": "welcome", "seat": 0, "peers": 0}    to a player who has just joined; seat 0 hosts the match
+    {"type": "peer_joined"}                        to the player already waiting in the room
+    {"type": "peer_left"}                          to whoever is left when the other player goes
+    {"type": "room_full"}                          to a third player, before their connection is closed
+
+Needs Python 3; only the standard library is used.
+"""
+import base64
+import hashlib
+import json
+import socketserver
+import struct
+import sys
+import threading
+
+PORT = 8001
+ROOM_SIZE = 2
+MAX_MESSAGE = 1 << 20        # bytes; anything bigger is a mistake, not a game message
+
+HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+OP_TEXT, OP_CLOSE, OP_PING, OP_PONG = 0x1, 0x8, 0x9, 0xA
+
+rooms = {}                   # room name -> list of connected Relay_Handlers, in seat order
+rooms_lock = threading.Lock()
+
+
+class Relay_Handler(socketserver.StreamRequestHandler):
+    def setup(self):
+        super().setup()
+        self.send_lock = threading.Lock()
+        self.room = None
+
+    def handle(self):
+        path = self.handshake()
+        if path is None:
+            return
+        room = path.strip('/') or 'default'
+
+        with rooms_lock:
+            members = rooms.setdefault(room, [])
+            full = len(members) >= ROOM_SIZE
+            if not full:
+                self.room = room
+                members.append(self)
+                seat, peers = len(members) - 1, members[:-1]
+        if full:
+            self.send_json({'type': 'room_full'})
+            self.send_frame(OP_CLOSE, b'')
+            return
+
+        self.send_json({'type': 'welcome', 'seat': seat, 'peers': len(peers)})
+        for peer in peers:
+            peer.send_json({'type': 'peer_joined'})
+
+        try:
+            self.relay_messages()
+        finally:
+            self.leave()
+
+    # Reads the HTTP upgrade request and answers it.  Returns the requested path, or None if this wasn't a
+    # WebSocket request.
+    def handshake(self):
+        request_line = self.rfile.readline(4096).decode('latin-1')
+        headers = {}
+        while True:
+            line = self.rfile.readline(4096).decode('latin-1').strip()
+            if not line:
+                break
+            name, _, value = line.partition(':')
+            headers[name.strip().lower()] = value.strip()
+
+        key = headers.get('sec-websocket-key')
+        parts = request_line.split()
+        if not key or len(parts) < 2 or headers.get('upgrade', '').lower() != 'websocket':
+            self.wfile.write(b'HTTP/1.1 400 Bad Request\r\nContent-Length: 0\r\n\r\n')
+            return None
+
+        accept = base64.b64encode(hashlib.sha1((key + HANDSHAKE_GUID).encode()).digest()).decode()
+        self.wfile.write(('HTTP/1.1 101 Switching Protocols\r\n'
+                          'Upgrade: websocket\r\n'
+                          'Connection: Upgrade\r\n'
+                          'Sec-WebSocket-Accept: %s\r\n\r\n' % accept).encode())
+        return parts[1]
+
+    def relay_messages(self):
+        while True:
+            frame = self.read_frame()
+            if frame is None:
+                return
+            opcode, payload = frame
+            if opcode == OP_CLOSE:
+                self.send_frame(OP_CLOSE, payload[:2])
+                return
+            if opcode == OP_PING:
+                self.send_frame(OP_PONG, payload)
+            elif opcode == OP_TEXT:
+                for peer in self.peers():
+                    peer.send_frame(OP_TEXT, payload)
+
+    # One whole message from the browser, as (opcode, payload); None once the connection is gone.  Browsers
+    # always mask what they send and never fragment the short messages the game uses.
+    def read_frame(self):
+        header = self.rfile.read(2)
+        if len(header) < 2:
+            return None
+        opcode = header[0] & 0x0F
+        masked = header[1] & 0x80
+        length = header[1] & 0x7F
+        if length == 126:
+            length = struct.unpack('!H', self.rfile.read(2))[0]
+        elif length == 127:
+            length = struct.unpack('!Q', self.rfile.read(8))[0]
+        if length > MAX_MESSAGE:
+            return None
+
+        mask = self.rfile.read(4) if masked else b'\0\0\0\0'
+        data = self.rfile.read(length)
+        if len(data) < length:
+            return None
+        return opcode, bytes(b ^ mask[i % 4] for i, b in enumerate(data))
+
+    def send_frame(self, opcode, payload):
+        length = len(payload)
+        if length < 126:
+            header = struct.pack('!BB', 0x80 | opcode, length)
+        elif length < 1 << 16:
+            header = struct.pack('!BBH', 0x80 | opcode, 126, length)
+        else:
+            header = struct.pack('!BBQ', 0x80 | opcode, 127, length)
+        with self.send_lock:
+            try:
+                self.wfile.write(header + payload)
+            except OSError:
+                pass             # they are on their way out; leave() tidies up
+
+    def send_json(self, message):
+        self.send_frame(OP_TEXT, json.dumps(message).encode())
+
+    def peers(self):
+        with rooms_lock:
+            return [member for member in rooms.get(self.room, []) if member is not self]
+
+    # The player who stays moves into seat 0, so a newcomer always joins their match.
+    def leave(self):
+        if self.room is None:
+            return
+        with rooms_lock:
+            members = rooms.get(self.room, [])
+            if self in members:
+                members.remove(self)
+            if not members:
+                rooms.pop(self.room, None)
+            remaining = list(members)
+        for peer in remaining:
+            peer.send_json({'type': 'peer_left'})
+
+
+class Relay_Server(socketserver.ThreadingTCPServer):
+    daemon_threads = True
+    allow_reuse_address = True
+
+
+if __name__ == '__main__':
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else PORT
+    server = Relay_Server(('', port), Relay_Handler)
+    print('relaying at port', port)
+    server.serve_forever()
@@ -97,26 +97,44 @@ const Keyboard_Manager = widgets.Keyboard_Manager =
   class Keyboard_Manager {
       // See description at:
       // https://github.com/encyclopedia-of-code/tiny-graphics-js/wiki/tiny-graphics-gui.js#keyboard_manager
+      // Each control is a named action with a list of bindings, any of which fires it.  A binding is a string naming
+      // a key combination ("key:Shift+Q"), a mouse button ("mouse:0") or a gamepad button ("gamepad:3").  Keys are
+      // watched here; other devices report their buttons through press_binding() and release_binding().  Players
+      // can change the bindings (see Binding_Editor), and use_storage() keeps their changes between visits.
       constructor (target = document, callback_behavior = (callback, event) => callback (event)) {
-          this.saved_controls        = {};
+          this.actions               = {};
+          this.overrides             = {};     // Action name -> the bindings a player chose in place of the defaults.
           this.actively_pressed_keys = new Set ();
           this.callback_behavior     = callback_behavior;
+          this.capture               = null;   // While rebinding, this takes the next input instead of any action.
           target.addEventListener ("keydown", this.key_down_handler.bind (this));
           target.addEventListener ("keyup", this.key_up_handler.bind (this));
           // Deal with stuck keys during focus change:
           window.addEventListener ("focus", () => this.actively_pressed_keys.clear ());
       }
+      static key_binding (shortcut_combination) { return "key:" + shortcut_combination.join ('+'); }
+      static binding_keys (binding) { return binding.startsWith ("key:") ? binding.slice (4).split ('+') : null; }
+      static describe_binding (binding) {
+          const [device, code] = [binding.slice (0, binding.indexOf (':')), binding.slice (binding.indexOf (':') + 1)];
+          if (device === "key") return code.split (" ").join ("Space");
+          if (device === "mouse") return (["Left", "Middle", "Right"][ code ] || "Button " + code) + " mouse";
+          const names = Object.keys (Gamepad_Manager.buttons);
+          return "Gamepad " + (names.find (n => Gamepad_Manager.buttons[ n ] === +code) || code);
+      }
       key_down_handler (event) {
           if (["INPUT", "TEXTAREA"].includes (event.target.tagName)) return;    // Don't interfere with typing.
           this.actively_pressed_keys.add (event.key);                              // Track the pressed key.
-          for (let saved of Object.values (this.saved_controls)) {         // Re-check all the keydown handlers.
-              if (saved.shortcut_combination.every (s => this.actively_pressed_keys.has (s))
-                  && event.ctrlKey === saved.shortcut_combination.includes ("Control")
-                  && event.shiftKey === saved.shortcut_combination.includes ("Shift")
-                  && event.altKey === saved.shortcut_combination.includes ("Alt")
-                  && event.metaKey === saved.shortcut_combination.includes ("Meta"))  // Modifiers must exactly match.
-                  this.callback_behavior (saved.callback, event);       // The keys match, so fire the callback.
-          }
+          if (this.capture) return this.capture_key (event);
+          for (let action of Object.values (this.actions))                // Re-check all the keydown handlers.
+              if (this.bindings (action.name).some (b => this.keys_match (Keyboard_Manager.binding_keys (b), event)))
+                  this.fire (action.callback, event);                     // The keys match, so fire the callback.
+      }
+      keys_match (shortcut_combination, event) {
+          return shortcut_combination && shortcut_combination.every (s => this.actively_pressed_keys.has (s))
+                 && event.ctrlKey === shortcut_combination.includes ("Control")
+                 && event.shiftKey === shortcut_combination.includes ("Shift")
+                 && event.altKey === shortcut_combination.includes ("Alt")
+                 && event.metaKey === shortcut_combination.includes ("Meta");      // Modifiers must exactly match.
       }
       key_up_handler (event) {
           const lower_symbols = "qwertyuiopasdfghjklzxcvbnm1234567890-=[]\\;',./",
@@ -124,15 +142,218 @@ const Keyboard_Manager = widgets.Keyboard_Manager =
 
           const lifted_key_symbols = [event.key, upper_symbols[ lower_symbols.indexOf (event.key) ],
                                       lower_symbols[ upper_symbols.indexOf (event.key) ]];
-          // Call keyup for any shortcuts
-          for (let saved of Object.values (this.saved_controls))                          // that depended on the released
-              if (lifted_key_symbols.some (s => saved.shortcut_combination.includes (s)))  // key or its shift-key counterparts.
-                  this.callback_behavior (saved.keyup_callback, event);                  // The keys match, so fire the
-                                                                                         // callback.
+          // Call keyup for any actions with a key binding that depended on the released key or its shift-key
+          // counterparts:
+          for (let action of Object.values (this.actions))
+              if (this.bindings (action.name).some (b => (Keyboard_Manager.binding_keys (b) || [])
+                .some (k => lifted_key_symbols.includes (k))))
+                  this.fire (action.keyup_callback, event);
           lifted_key_symbols.forEach (k => this.actively_pressed_keys.delete (k));
       }
-      add (shortcut_combination, callback = () => {}, keyup_callback = () => {}) {
-          this.saved_controls[ shortcut_combination.join ('+') ] = {shortcut_combination, callback, keyup_callback};
+      fire (callback, event) {
+          if (event) this.callback_behavior (callback, event);
+          else callback ();
+      }
+      add (shortcut_combination, callback = () => {}, keyup_callback = () => {},
+           name = shortcut_combination.join ('+')) {
+          const defaults       = shortcut_combination.length ? [Keyboard_Manager.key_binding (shortcut_combination)] : [];
+          this.actions[ name ] = {name, callback, keyup_callback, defaults};
+      }
+      // Give an existing action another binding out of the box, e.g. a gamepad button.
+      add_default_binding (name, binding) {
+          const action = this.actions[ name ];
+          if ( !action) throw "Keyboard_Manager: there is no control named \"" + name + "\" to bind.";
+          if ( !action.defaults.includes (binding)) action.defaults.push (binding);
+      }
+      bindings (name) { return this.overrides[ name ] || this.actions[ name ].defaults; }
+      set_bindings (name, bindings) {
+          this.overrides[ name ] = [...bindings];
+          this.save ();
+      }
+      reset_bindings (name) {
+          delete this.overrides[ name ];
+          this.save ();
+      }
+      actions_bound_to (binding) {
+          return Object.keys (this.actions).filter (name => this.bindings (name).includes (binding));
+      }
+      // Every binding that fires more than one action, with the names of those actions.
+      conflicts () {
+          const used = {};
+          for (let name of Object.keys (this.actions))
+              for (let binding of this.bindings (name)) (used[ binding ] = used[ binding ] || []).push (name);
+          return Object.fromEntries (Object.entries (used).filter (([binding, names]) => names.length > 1));
+      }
+      // Fire (or let go of) a control by name, or every control a binding fires, as if its keys went down or up.
+      press (name, event) {
+          const action = this.actions[ name ];
+          if (action) this.fire (action.callback, event);
+      }
+      release (name, event) {
+          const action = this.actions[ name ];
+          if (action) this.fire (action.keyup_callback, event);
+      }
+      press_binding (binding, event) {
+          if (this.capture) return this.capture (binding);
+          for (let name of this.actions_bound_to (binding)) this.press (name, event);
+      }
+      release_binding (binding, event) {
+          if ( !this.capture)
+              for (let name of this.actions_bound_to (binding)) this.release (name, event);
+      }
+      // Hand the next key combination, mouse button or gamepad button to callback as a binding, instead of
+      // running the controls.  Escape gives callback null.
+      capture_next_binding (callback) {
+          const mouse_listener = event => {
+              event.preventDefault ();
+              this.capture ("mouse:" + event.button);
+          };
+          this.capture         = binding => {
+              this.capture = null;
+              document.removeEventListener ("mousedown", mouse_listener, true);
+              callback (binding);
+          };
+          document.addEventListener ("mousedown", mouse_listener, true);
+      }
+      capture_key (event) {
+          const modifiers = {Control: "ctrlKey", Alt: "altKey", Meta: "metaKey", Shift: "shiftKey"};
+          if (modifiers[ event.key ]) return;                 // Wait for the key the modifiers go with.
+          event.preventDefault ();
+          if (event.key === "Escape") return this.capture (null);
+          const held = Object.keys (modifiers).filter (m => event[ modifiers[ m ] ]);
+          this.capture (Keyboard_Manager.key_binding ([...held, event.key]));
+      }
+      // Keep the player's bindings in storage (localStorage by default) under key, starting with any saved there.
+      use_storage (key, storage = globalThis.localStorage) {
+          Object.assign (this, {storage, storage_key: key});
+          try {
+              this.overrides = JSON.parse (storage.getItem (key)) || {};
+          } catch (error) {
+              console.warn ("Ignoring unreadable control bindings", error);
+              this.overrides = {};
+          }
+      }
+      save () {
+          if ( !this.storage) return;
+          try {
+              this.storage.setItem (this.storage_key, JSON.stringify (this.overrides));
+          } catch (error) {
+              console.warn ("Could not save control bindings", error);
+          }
+      }
+  };
+
+
+const Gamepad_Manager = widgets.Gamepad_Manager =
+  class Gamepad_Manager {
+      // Reads the first connected gamepad through the Gamepad API.  Browsers don't send gamepad events for sticks or
+      // held buttons, so call poll() once per frame, e.g. at the top of render_animation().  Afterwards, sticks and
+      // triggers hold the shaped analog values, and every button that went down or up since the last poll has been
+      // passed to the Keyboard_Manager as a "gamepad:<index>" binding -- so whichever control it is bound to runs,
+      // and that control's on-screen button lights up as if clicked.
+      static buttons = {
+          A         : 0, B: 1, X: 2, Y: 3, left_bumper: 4, right_bumper: 5, left_trigger: 6, right_trigger: 7,
+          back      : 8, start: 9, left_stick: 10, right_stick: 11,
+          dpad_up   : 12, dpad_down: 13, dpad_left: 14, dpad_right: 15
+      };
+      static binding (button) { return "gamepad:" + button; }
+      constructor (controls, options = {}) {
+          // dead_zone:  Stick travel (0 to 1) ignored around center, since worn sticks never quite rest at zero.
+          // curve:  Exponent applied past the dead zone; above 1 gives finer control near center.
+          Object.assign (this, {controls, dead_zone: .15, curve: 2}, options);
+          this.connected    = false;
+          this.sticks       = {left: [0, 0], right: [0, 0]};
+          this.triggers     = {left: 0, right: 0};
+          this.held_buttons = new Set ();
+      }
+      shape_stick (x, y) {
+          // Works on the stick's distance from center, so diagonals aren't cut off by a square dead zone.
+          const magnitude = Math.hypot (x, y);
+          if (magnitude <= this.dead_zone) return [0, 0];
+          const scaled = Math.min (1, (magnitude - this.dead_zone) / (1 - this.dead_zone)) ** this.curve;
+          return [x / magnitude * scaled, y / magnitude * scaled];
+      }
+      poll () {
+          const pads = navigator.getGamepads ? Array.from (navigator.getGamepads ()) : [];
+          const pad  = pads.find (p => p && p.connected);
+          this.connected = !!pad;
+          if ( !pad) {                         // Unplugged:  let go of everything it was holding.
+              this.sticks   = {left: [0, 0], right: [0, 0]};
+              this.triggers = {left: 0, right: 0};
+              for (let button of this.held_buttons) this.controls.release_binding (Gamepad_Manager.binding (button));
+              this.held_buttons.clear ();
+              return;
+          }
+          const axis = i => pad.axes[ i ] || 0;
+          this.sticks   = {left: this.shape_stick (axis (0), axis (1)), right: this.shape_stick (axis (2), axis (3))};
+          this.triggers = {left : (pad.buttons[ Gamepad_Manager.buttons.left_trigger ] || {value: 0}).value,
+                           right: (pad.buttons[ Gamepad_Manager.buttons.right_trigger ] || {value: 0}).value};
+
+          pad.buttons.forEach ((button, index) => {
+              if (button.pressed === this.held_buttons.has (index)) return;
+              if (button.pressed) {
+                  this.held_buttons.add (index);
+                  this.controls.press_binding (Gamepad_Manager.binding (index));
+              } else {
+                  this.held_buttons.delete (index);
+                  this.controls.release_binding (Gamepad_Manager.binding (index));
+              }
+          });
+      }
+  };
+
+
+const Binding_Editor = widgets.Binding_Editor =
+  class Binding_Editor {
+      // A settings table for a Keyboard_Manager's controls.  Each row lists an action's bindings (click one to remove
+      // it), a button that takes the next key, mouse or gamepad button pressed as a new binding, and a reset to the
+      // defaults.  Bindings that fire more than one action are shown in red.
+      constructor (controls, parent) {
+          this.controls          = controls;
+          this.element           = parent.appendChild (document.createElement ("div"));
+          this.element.className = "binding-editor";
+          this.render ();
+      }
+      render () {
+          const controls  = this.controls,
+                conflicts = controls.conflicts ();
+          this.element.textContent = "";
+          const table = this.element.appendChild (document.createElement ("table"));
+          const make_button = (parent, text, onclick) =>
+            Object.assign (parent.appendChild (document.createElement ("button")), {textContent: text, onclick});
+
+          for (let name of Object.keys (controls.actions)) {
+              const row = table.insertRow ();
+              row.insertCell ().textContent = name;
+              const cell = row.insertCell ();
+              for (let binding of controls.bindings (name)) {
+                  const button = make_button (cell, Keyboard_Manager.describe_binding (binding) + " ×", () => {
+                      controls.set_bindings (name, controls.bindings (name).filter (b => b !== binding));
+                      this.render ();
+                  });
+                  button.title = "Remove this binding";
+                  if (conflicts[ binding ]) {
+                      button.style.color = "red";
+                      button.title       = "Also fires: " + conflicts[ binding ].filter (n => n !== name).join (", ");
+                  }
+              }
+              const add = make_button (cell, "+", () => {
+                  add.textContent = "Press a key, mouse or gamepad button (Esc cancels)";
+                  controls.capture_next_binding (binding => {
+                      if (binding && !controls.bindings (name).includes (binding))
+                          controls.set_bindings (name, [...controls.bindings (name), binding]);
+                      this.render ();
+                  });
+              });
+              make_button (row.insertCell (), "Reset", () => {
+                  controls.reset_bindings (name);
+                  this.render ();
+              });
+          }
+          const clashes = Object.entries (conflicts);
+          if (clashes.length)
+              this.element.appendChild (document.createElement ("p")).textContent = "Conflicts: " + clashes.map (
+                ([binding, names]) => Keyboard_Manager.describe_binding (binding) + " fires " + names.join (" and ")).join ("; ");
       }
   };
 
@@ -396,16 +396,41 @@ const Component = tiny.Component =
             || w.mozRequestAnimationFrame || w.oRequestAnimationFrame || w.msRequestAnimationFrame
             || function (callback) { w.setTimeout (callback, 1000 / 60); }) (window);
       }
-      set_canvas_size (dimensions = [1080, 600]) {
+      set_canvas_size (dimensions = [1080, 600], responsive = this.responsive_canvas) {
+          // dimensions are in CSS pixels.  A responsive canvas shrinks (keeping its shape) to fit a smaller viewport,
+          // and is resized again whenever the window is, e.g. when a phone is turned sideways.
+          this.canvas_dimensions = dimensions;
+          this.responsive_canvas = responsive;
+          let [width, height]    = dimensions;
+          if (responsive) {
+              const fit       = Math.min (1, window.innerWidth / width, window.innerHeight / height);
+              [width, height] = [Math.floor (width * fit), Math.floor (height * fit)];
+              this.track_viewport ();
+          }
           // We must change size in CSS, wait for style re-flow, and then change size again within canvas attributes.
           // Both steps are needed; attributes on a canvas have a special effect on buffers, separate from their style.
-          const [width, height]         = dimensions;
+          // The buffer gets one pixel per physical screen pixel, so high density screens stay sharp; width and height
+          // stay in CSS pixels, so callers' aspect ratios come out the same either way.
+          const pixel_ratio             = window.devicePixelRatio || 1;
           this.canvas.style[ "width" ]  = width + "px";
           this.canvas.style[ "height" ] = height + "px";
-          Object.assign (this, {width, height});
-          Object.assign (this.canvas, {width, height});
+          Object.assign (this, {width, height, pixel_ratio});
+          Object.assign (this.canvas, {width: Math.round (width * pixel_ratio), height: Math.round (height * pixel_ratio)});
           // Build the canvas's matrix for converting -1 to 1 ranged coords (NCDS) into its own pixel coords:
-          this.context.viewport (0, 0, width, height);
+          this.context.viewport (0, 0, this.canvas.width, this.canvas.height);
+      }
+      track_viewport () {
+          if (this.viewport_listener) return;
+          this.viewport_listener = () => this.set_canvas_size (this.canvas_dimensions);
+          window.addEventListener ("resize", this.viewport_listener);
+          // Dragging the window to another screen changes devicePixelRatio without resizing anything, so also watch
+          // for that.  Each query only matches one ratio, so it is replaced after it fires.
+          const watch_pixel_ratio = () => window.matchMedia (`(resolution: ${window.devicePixelRatio}dppx)`)
+                                                .addEventListener ("change", () => {
+                                                    this.viewport_listener ();
+                                                    watch_pixel_ratio ();
+                                                }, {once: true});
+          if (window.matchMedia) watch_pixel_ratio ();
       }
       frame_advance (time = 0) {
           if ( !this.props.dont_tick) {
@@ -462,7 +487,7 @@ const Component = tiny.Component =
           button.addEventListener ("touchstart", press, {passive: true});
           button.addEventListener ("touchend", release, {passive: true});
           if ( !shortcut_combination) return;
-          this.key_controls.add (shortcut_combination, press, release);
+          this.key_controls.add (shortcut_combination, press, release, description);
       }
       render_layout (div, options = {}) {
           this.div         = div;
@@ -479,10 +504,13 @@ const Component = tiny.Component =
 
           const defaults = {
               show_canvas: true, make_controls: true,
-              make_editor: false, make_code_nav: true
+              make_editor: false, make_code_nav: true, responsive_canvas: false
           };
 
           const overridden_options = Object.assign (defaults, this.widget_options, options);
+          // A responsive canvas may be narrower than the usual 1080px, so let the page narrow with it:
+          if (overridden_options.responsive_canvas) Object.assign (div.style, {width: "auto", maxWidth: "1080px"});
+          this.responsive_canvas = overridden_options.responsive_canvas;
 
           // TODO:  One use case may have required canvas to be styled as a rule instead of as an element.  Keep an
           // eye out.